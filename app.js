@@ -4,40 +4,40 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const fetch = require('node-fetch'); // Add this dependency
+const { loadConfig } = require('./lib/config');
+const { createWorkflowLibrary } = require('./lib/workflows');
 
 const app = express();
-const PORT = 3000;
 
-// CONFIGURE YOUR COMFYUI SETTINGS HERE
-const COMFYUI_INPUT_FOLDER = 'D:/ComfyUI_windows_portable_nvidia/ComfyUI_windows_portable/ComfyUI/input'; // Windows example
-const COMFYUI_OUTPUT_FOLDER = 'D:/ComfyUI_windows_portable_nvidia/webcam-comfyui-3D-app-main/public/models/mesh'; // ComfyUI output folder
-// const COMFYUI_INPUT_FOLDER = '/home/user/ComfyUI/input/'; // Linux example
-// const COMFYUI_OUTPUT_FOLDER = '/home/user/ComfyUI/output/'; // Linux example
-// const COMFYUI_INPUT_FOLDER = '/Users/username/ComfyUI/input/'; // Mac example
-// const COMFYUI_OUTPUT_FOLDER = '/Users/username/ComfyUI/output/'; // Mac example
+// Settings are shared with server.js: config.json plus environment variable overrides
+const config = loadConfig();
+if (config.errors.length > 0) {
+    console.error('❌ Invalid configuration:');
+    config.errors.forEach(error => console.error(`   • ${error}`));
+    process.exit(1);
+}
 
-const COMFYUI_API_URL = 'http://127.0.0.1:8188'; // Default ComfyUI API URL
-const COMFYUI_WORKFLOW_FILE = './workflow.json'; // Path to your workflow JSON file
-const PROMPT_DELAY_SECONDS = 5; // Delay before triggering workflow
+const PORT = config.values.port;
+const COMFYUI_INPUT_FOLDER = config.values.comfyuiInputFolder;
+const COMFYUI_OUTPUT_FOLDER = config.values.comfyuiOutputFolder; // ComfyUI output folder
+const COMFYUI_API_URL = config.values.comfyuiApiUrl;
+const WORKFLOWS_FOLDER = config.values.workflowsFolder;
+const PROMPT_DELAY_SECONDS = config.values.promptDelaySeconds; // Delay before triggering workflow
 
 // FIXED FILENAMES (will overwrite each time)
 const INPUT_FILENAME = 'webcam_input.jpg'; // Fixed input filename
 const OUTPUT_PREFIX = 'webcam_3d_mesh'; // Fixed output prefix for 3D mesh files
 const MESH_FOLDER = 'mesh'; // Folder for mesh outputs
 
-// Load ComfyUI workflow template
+// Load ComfyUI workflow template (the default preset from the workflows folder)
 let workflowTemplate = {};
-try {
-    if (fs.existsSync(COMFYUI_WORKFLOW_FILE)) {
-        workflowTemplate = JSON.parse(fs.readFileSync(COMFYUI_WORKFLOW_FILE, 'utf8'));
-        console.log('✅ Workflow template loaded from:', COMFYUI_WORKFLOW_FILE);
-        console.log('📄 Workflow contains', Object.keys(workflowTemplate).length, 'nodes');
-    } else {
-        console.log('⚠️  No workflow file found. Create workflow.json for automatic prompting.');
-    }
-} catch (error) {
-    console.error('❌ Error loading workflow template:', error.message);
-    console.log('🔧 Please check your workflow.json file for syntax errors');
+const defaultPreset = createWorkflowLibrary(WORKFLOWS_FOLDER, { defaultId: config.values.defaultWorkflow }).getDefault();
+if (defaultPreset) {
+    workflowTemplate = defaultPreset.workflow;
+    console.log('✅ Workflow template loaded from:', defaultPreset.file);
+    console.log('📄 Workflow contains', Object.keys(workflowTemplate).length, 'nodes');
+} else {
+    console.log(`⚠️  No workflow presets found. Add one to ${WORKFLOWS_FOLDER} for automatic prompting.`);
 }
 
 // Ensure directories exist
@@ -465,10 +465,10 @@ app.listen(PORT, () => {
     }
     
     if (Object.keys(workflowTemplate).length === 0) {
-        console.log('\n⚠️  No workflow loaded. Create workflow.json to enable automatic prompting.');
+        console.log(`\n⚠️  No workflow loaded. Add a preset to ${WORKFLOWS_FOLDER} to enable automatic prompting.`);
     } else {
         console.log(`\n✅ Hunyuan3D workflow template loaded and ready (${Object.keys(workflowTemplate).length} nodes)`);
     }
     
-    console.log('\n🎯 Ready for webcam captures! Open http://localhost:3000 in your browser\n');
+    console.log(`\n🎯 Ready for webcam captures! Open http://localhost:${PORT} in your browser\n`);
 });
\ No newline at end of file
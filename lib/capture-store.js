@@ -0,0 +1,89 @@
+// lib/capture-store.js - Keeps each capture's source frames and a JSON metadata sidecar
+const fs = require('fs');
+const path = require('path');
+const { isCaptureId } = require('./captures');
+
+// Function to get the sidecar filename for a capture
+function metadataFilenameFor(captureId) {
+    return `${captureId}.json`;
+}
+
+// Function to write a file atomically (a half-written sidecar must never be read back)
+function writeFileAtomic(filePath, data) {
+    const partial = `${filePath}.part`;
+    fs.writeFileSync(partial, data);
+    fs.renameSync(partial, filePath);
+}
+
+// Function to keep a copy of a source frame under the name ComfyUI received it as
+function saveSourceFrame(folder, filename, buffer) {
+    fs.mkdirSync(folder, { recursive: true });
+    writeFileAtomic(path.join(folder, path.basename(filename)), buffer);
+}
+
+// Function to read a stored source frame (null if it was never kept or has been removed)
+function readSourceFrame(folder, filename) {
+    const filePath = path.join(folder, path.basename(filename));
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+}
+
+function sourceFrameExists(folder, filename) {
+    return Boolean(filename) && fs.existsSync(path.join(folder, path.basename(filename)));
+}
+
+// Function to build the sidecar contents from a serialized job
+function buildCaptureMetadata(job) {
+    return {
+        capture_id: job.capture_id,
+        job_id: job.id,
+        state: job.state,
+        workflow: job.workflow,
+        params: job.params,
+        preprocess: job.preprocess,
+        prompt_id: job.prompt_id,
+        backend: job.backend,
+        frames: job.views || { image: job.filename },
+        model: job.result ? job.result.filename : null,
+        mesh_stats: job.result ? job.result.mesh_stats || null : null,
+        error: job.error,
+        error_details: job.error_details,
+        retries: job.retries,
+        rerun_of: job.rerun_of,
+        session_id: job.session_id,
+        timings: job.timings,
+        durations: job.durations
+    };
+}
+
+function writeCaptureMetadata(folder, metadata) {
+    fs.mkdirSync(folder, { recursive: true });
+    writeFileAtomic(path.join(folder, metadataFilenameFor(metadata.capture_id)), JSON.stringify(metadata, null, 2));
+}
+
+// Function to read a capture's sidecar (null if missing or unreadable)
+function readCaptureMetadata(folder, captureId) {
+    if (!isCaptureId(captureId)) {
+        return null;
+    }
+
+    const filePath = path.join(folder, metadataFilenameFor(captureId));
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️  Ignoring unreadable capture metadata ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    saveSourceFrame,
+    readSourceFrame,
+    sourceFrameExists,
+    buildCaptureMetadata,
+    writeCaptureMetadata,
+    readCaptureMetadata
+};
@@ -0,0 +1,49 @@
+// lib/captures.js - Capture ids and the filenames derived from them
+const crypto = require('crypto');
+
+const INPUT_PREFIX = 'webcam_input';
+const OUTPUT_PREFIX = 'webcam_3d_mesh';
+
+// e.g. 20250821-053752-1a2b3c (local time + random suffix)
+const CAPTURE_ID_PATTERN = /\d{8}-\d{6}-[0-9a-f]{6}/;
+
+// SaveGLB appends a counter: webcam_3d_mesh_<capture id>_00001_.glb
+const OUTPUT_FILE_PATTERN = new RegExp(`^${OUTPUT_PREFIX}_(${CAPTURE_ID_PATTERN.source})_\\d+_\\.glb$`, 'i');
+
+// Function to generate a unique, time-sortable capture id
+function generateCaptureId(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    return `${day}-${time}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function isCaptureId(value) {
+    return typeof value === 'string' && new RegExp(`^${CAPTURE_ID_PATTERN.source}$`).test(value);
+}
+
+// Function to get the ComfyUI input filename for a capture (or one view of a multi-view capture)
+function inputFilenameFor(captureId, { view, extension = 'jpg' } = {}) {
+    return `${INPUT_PREFIX}_${captureId}${view ? `_${view}` : ''}.${extension}`;
+}
+
+// Function to get the SaveGLB filename_prefix for a capture
+function outputPrefixFor(captureId) {
+    return `${OUTPUT_PREFIX}_${captureId}`;
+}
+
+// Function to recover the capture id from a generated GLB filename
+function captureIdFromOutput(filename) {
+    const match = OUTPUT_FILE_PATTERN.exec(filename);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    INPUT_PREFIX,
+    OUTPUT_PREFIX,
+    generateCaptureId,
+    isCaptureId,
+    inputFilenameFor,
+    outputPrefixFor,
+    captureIdFromOutput
+};
@@ -0,0 +1,101 @@
+// lib/comfyui-files.js - Move files to and from ComfyUI over HTTP instead of a shared disk
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+// Function to build a multipart/form-data body by hand (node-fetch v2 has no FormData)
+function buildMultipartBody(fields, file) {
+    const boundary = `----webcam3d${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [];
+
+    for (const name in fields) {
+        parts.push(Buffer.from(
+            `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${fields[name]}\r\n`
+        ));
+    }
+
+    parts.push(Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\n` +
+        `Content-Type: ${file.contentType}\r\n\r\n`
+    ));
+    parts.push(file.buffer);
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+    return {
+        body: Buffer.concat(parts),
+        contentType: `multipart/form-data; boundary=${boundary}`
+    };
+}
+
+// Function to upload an image through ComfyUI's /upload/image.
+// Returns the name to put in a LoadImage node ("subfolder/name" when ComfyUI used a subfolder).
+async function uploadInputImage(apiUrl, buffer, filename, { log = console.log } = {}) {
+    const { body, contentType } = buildMultipartBody(
+        { type: 'input', overwrite: 'true' },
+        {
+            field: 'image',
+            filename,
+            contentType: CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream',
+            buffer
+        }
+    );
+
+    const response = await fetch(`${apiUrl}/upload/image`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': contentType,
+            'User-Agent': 'webcam-comfyui-app'
+        },
+        body,
+        timeout: 30000
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`ComfyUI upload error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const result = await response.json();
+    log(`📤 Uploaded ${filename} to ComfyUI as ${result.subfolder ? `${result.subfolder}/` : ''}${result.name}`);
+    return result.subfolder ? `${result.subfolder}/${result.name}` : result.name;
+}
+
+// Function to download an output file listed in /history via ComfyUI's /view into a local folder
+async function downloadOutputFile(apiUrl, fileInfo, destinationFolder, { log = console.log } = {}) {
+    const query = new URLSearchParams({
+        filename: fileInfo.filename,
+        subfolder: fileInfo.subfolder || '',
+        type: fileInfo.type || 'output'
+    });
+
+    const response = await fetch(`${apiUrl}/view?${query}`, {
+        headers: { 'User-Agent': 'webcam-comfyui-app' },
+        timeout: 120000
+    });
+
+    if (!response.ok) {
+        throw new Error(`ComfyUI view error: ${response.status} ${response.statusText} for ${fileInfo.filename}`);
+    }
+
+    // Write to a temp name first so the models list never shows a half-written GLB
+    const destination = path.join(destinationFolder, path.basename(fileInfo.filename));
+    const partial = `${destination}.part`;
+    fs.writeFileSync(partial, await response.buffer());
+    fs.renameSync(partial, destination);
+
+    log(`📥 Downloaded ${fileInfo.filename} from ComfyUI to ${destination}`);
+    return destination;
+}
+
+module.exports = {
+    uploadInputImage,
+    downloadOutputFile
+};
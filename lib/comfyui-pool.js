@@ -0,0 +1,174 @@
+// lib/comfyui-pool.js - Several ComfyUI servers used as one: health checks, least-busy dispatch and per-backend /ws feeds
+const { EventEmitter } = require('events');
+const fetch = require('node-fetch');
+const { connectComfyUISocket } = require('./comfyui-socket');
+
+const CHECK_TIMEOUT_MS = 5000;
+
+// Function to fetch JSON from a backend with the app's usual timeout and User-Agent
+async function fetchBackendJson(backend, pathname) {
+    const response = await fetch(`${backend.url}${pathname}`, {
+        timeout: CHECK_TIMEOUT_MS,
+        headers: { 'User-Agent': 'webcam-comfyui-app' }
+    });
+    if (!response.ok) {
+        throw new Error(`${pathname} returned status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Function to reduce a /system_stats payload to what the status page shows
+function summarizeSystemStats(stats) {
+    if (!stats) return null;
+
+    return {
+        system: stats.system || null,
+        devices: (stats.devices || []).map(device => {
+            const total = Number(device.vram_total) || 0;
+            const free = Number(device.vram_free) || 0;
+            return {
+                name: device.name,
+                type: device.type,
+                vram_total: total,
+                vram_free: free,
+                vram_used_percent: total > 0 ? Math.round(((total - free) / total) * 1000) / 10 : null
+            };
+        })
+    };
+}
+
+// Function to create the backend pool. urls are ComfyUI base URLs; every backend gets its own /ws
+// connection under clientId. Emits 'message' (message, backend) for /ws messages, 'up' / 'down' (backend)
+// when a health check changes a backend's state, and 'change' after every check.
+function createBackendPool({ urls, clientId, healthIntervalMs = 10000 }) {
+    const pool = new EventEmitter();
+    const backends = urls.map((url, index) => ({
+        id: `backend-${index + 1}`,
+        url,
+        healthy: null, // null until the first check
+        last_checked: null,
+        last_error: null,
+        stats: null,
+        queue_running: 0,
+        queue_pending: 0,
+        socket: null
+    }));
+    let timer = null;
+
+    // Function to refresh one backend's /queue depth; throws when the backend cannot answer
+    async function refreshQueue(backend) {
+        const queue = await fetchBackendJson(backend, '/queue');
+        backend.queue_running = (queue.queue_running || []).length;
+        backend.queue_pending = (queue.queue_pending || []).length;
+    }
+
+    function setHealth(backend, healthy, error = null) {
+        const previous = backend.healthy;
+        backend.healthy = healthy;
+        backend.last_error = error;
+        backend.last_checked = new Date().toISOString();
+
+        if (healthy && previous !== true) {
+            console.log(`✅ ComfyUI backend ${backend.id} (${backend.url}) is up`);
+            pool.emit('up', backend);
+        } else if (!healthy && previous !== false) {
+            console.warn(`⚠️  ComfyUI backend ${backend.id} (${backend.url}) is down: ${error}`);
+            pool.emit('down', backend);
+        }
+    }
+
+    // Function to check one backend through /system_stats and /queue
+    async function checkBackend(backend) {
+        try {
+            backend.stats = await fetchBackendJson(backend, '/system_stats');
+            await refreshQueue(backend);
+            setHealth(backend, true);
+        } catch (error) {
+            setHealth(backend, false, error.message);
+        }
+        pool.emit('change');
+        return backend;
+    }
+
+    function checkAll() {
+        return Promise.all(backends.map(checkBackend));
+    }
+
+    // Function to choose the healthy backend with the shortest ComfyUI queue (running + pending),
+    // reading each candidate's /queue first. Returns null when no backend can take work.
+    // reserve counts the prompt about to be sent, so picks made before the next refresh spread out.
+    async function pick({ reserve = true } = {}) {
+        if (backends.some(backend => backend.healthy === null)) {
+            await checkAll();
+        }
+
+        const candidates = backends.filter(backend => backend.healthy);
+        await Promise.all(candidates.map(backend => refreshQueue(backend).catch(error => {
+            setHealth(backend, false, error.message);
+            pool.emit('change');
+        })));
+
+        const ranked = candidates
+            .filter(backend => backend.healthy)
+            .sort((a, b) => (a.queue_running + a.queue_pending) - (b.queue_running + b.queue_pending));
+        const chosen = ranked[0] || null;
+
+        if (chosen && reserve) {
+            chosen.queue_pending++;
+        }
+        return chosen;
+    }
+
+    function get(id) {
+        return backends.find(backend => backend.id === id) || null;
+    }
+
+    // Function to build the public view of a backend (used by /backends and the status page)
+    function describe(backend) {
+        return {
+            id: backend.id,
+            url: backend.url,
+            healthy: backend.healthy,
+            socket_connected: Boolean(backend.socket && backend.socket.isConnected()),
+            last_checked: backend.last_checked,
+            last_error: backend.last_error,
+            queue_running: backend.queue_running,
+            queue_pending: backend.queue_pending,
+            queue_depth: backend.queue_running + backend.queue_pending,
+            ...(summarizeSystemStats(backend.stats) || { system: null, devices: [] })
+        };
+    }
+
+    function list() {
+        return backends.map(describe);
+    }
+
+    // Function to open the /ws feeds and start periodic health checks
+    function start() {
+        backends.forEach(backend => {
+            backend.socket = connectComfyUISocket(backend.url, clientId);
+            backend.socket.on('message', message => pool.emit('message', message, backend));
+            // A dropped feed is the quickest sign a backend went away; confirm with a health check
+            backend.socket.on('disconnected', () => {
+                if (backend.healthy) checkBackend(backend);
+            });
+        });
+
+        checkAll();
+        timer = setInterval(checkAll, healthIntervalMs);
+        timer.unref();
+    }
+
+    function close() {
+        clearInterval(timer);
+        backends.forEach(backend => backend.socket && backend.socket.close());
+    }
+
+    Object.assign(pool, { start, close, checkAll, checkBackend, pick, get, list, describe });
+    return pool;
+}
+
+module.exports = {
+    summarizeSystemStats,
+    createBackendPool
+};
@@ -0,0 +1,198 @@
+// lib/comfyui-prompts.js - Building a preset's prompt for one capture, queueing it in ComfyUI and reading back
+// its outcome. Shared by the server and the webcam3d command line tool.
+const fetch = require('node-fetch');
+const { OUTPUT_PREFIX } = require('./captures');
+const { applyParams } = require('./params');
+const { generationFailure, executionErrorFromHistory } = require('./generation-errors');
+
+// Function to update a preset's workflow with image filename, per-capture output prefix and generation params.
+// imageName is one filename, or { front, left, back, right } filenames for a multi-view preset.
+// log reports each patched node (console.log unless the caller wants it quieter).
+function updateWorkflowWithImage(preset, imageName, outputPrefix = OUTPUT_PREFIX, params = {}, { log = console.log } = {}) {
+    const updatedWorkflow = JSON.parse(JSON.stringify(preset.workflow)); // Deep clone
+    
+    if (preset.view_nodes) {
+        // Route each view to its own LoadImage node
+        for (const view in preset.view_nodes) {
+            const nodeId = preset.view_nodes[view];
+            updatedWorkflow[nodeId].inputs.image = imageName[view];
+            log(`Updated ${updatedWorkflow[nodeId].class_type} node ${nodeId} with ${view} view: ${imageName[view]}`);
+        }
+    } else {
+        // Update the nodes the preset declares as image inputs
+        preset.image_nodes.forEach(nodeId => {
+            const node = updatedWorkflow[nodeId];
+            node.inputs.image = imageName;
+            log(`Updated ${node.class_type} node ${nodeId} with image: ${imageName}`);
+        });
+    }
+    
+    // Update the declared output nodes so each capture gets its own mesh filename
+    preset.output_nodes.forEach(nodeId => {
+        const node = updatedWorkflow[nodeId];
+        node.inputs.filename_prefix = outputPrefix;
+        log(`Updated ${node.class_type} node ${nodeId} with prefix: ${outputPrefix}`);
+    });
+
+    // Apply per-request overrides (seed, steps, octree_resolution, ...) by node class
+    applyParams(updatedWorkflow, params, { log });
+    
+    return updatedWorkflow;
+}
+
+// Function to queue prompt in the ComfyUI at apiUrl. clientId routes the prompt's /ws progress messages;
+// log takes the progress lines (errors still go to console.error).
+async function queueComfyUIPrompt(apiUrl, preset, filename, outputPrefix, params, clientId, { log = console.log } = {}) {
+    try {
+        log(`🔍 Checking ComfyUI connection (${apiUrl})...`);
+        
+        // Check if ComfyUI is running
+        const healthCheck = await fetch(`${apiUrl}/system_stats`, { 
+            timeout: 5000,
+            headers: { 'User-Agent': 'webcam-comfyui-app' }
+        });
+        
+        if (!healthCheck.ok) {
+            throw new Error(`ComfyUI server returned status: ${healthCheck.status}`);
+        }
+
+        log('✅ ComfyUI is responding');
+
+        // Update workflow with the new image
+        const updatedWorkflow = updateWorkflowWithImage(preset, filename, outputPrefix, params, { log });
+        
+        // Prepare prompt data
+        const promptData = {
+            prompt: updatedWorkflow,
+            client_id: clientId
+        };
+
+        log('📤 Sending workflow to ComfyUI...');
+
+        // Queue the prompt
+        const response = await fetch(`${apiUrl}/prompt`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'webcam-comfyui-app'
+            },
+            body: JSON.stringify(promptData),
+            timeout: 10000
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`ComfyUI API error: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+
+        const result = await response.json();
+        log('✅ ComfyUI prompt queued successfully:', result);
+        
+        return {
+            success: true,
+            prompt_id: result.prompt_id,
+            number: result.number
+        };
+
+    } catch (error) {
+        console.error('❌ Error queuing ComfyUI prompt:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Function to find the GLB file a finished prompt wrote, from its /history outputs
+function findGLBInHistoryOutputs(outputs = {}) {
+    for (const nodeId in outputs) {
+        const nodeOutput = outputs[nodeId];
+        for (const key in nodeOutput) {
+            if (!Array.isArray(nodeOutput[key])) continue;
+
+            const glb = nodeOutput[key].find(item => item && typeof item.filename === 'string' &&
+                item.filename.toLowerCase().endsWith('.glb'));
+            if (glb) {
+                return {
+                    node_id: nodeId,
+                    filename: glb.filename,
+                    subfolder: glb.subfolder || '',
+                    type: glb.type || 'output',
+                    url: `/mesh/${glb.filename}`
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// Function to ask the ComfyUI at apiUrl where a prompt is: pending, running or finished
+async function fetchPromptStatus(apiUrl, promptId) {
+    const historyResponse = await fetch(`${apiUrl}/history/${promptId}`, {
+        timeout: 5000,
+        headers: { 'User-Agent': 'webcam-comfyui-app' }
+    });
+    if (!historyResponse.ok) {
+        throw new Error(`ComfyUI history returned status: ${historyResponse.status}`);
+    }
+
+    const history = await historyResponse.json();
+    const entry = history[promptId];
+
+    if (entry) {
+        // A failed prompt lists its execution_error (node, class_type, exception) in status.messages
+        const errorDetails = executionErrorFromHistory(entry.status);
+        if (errorDetails) {
+            return { state: 'failed', error_details: errorDetails };
+        }
+
+        const glb = findGLBInHistoryOutputs(entry.outputs);
+        if (!glb) {
+            return { state: 'failed', error_details: generationFailure('Workflow finished without producing a GLB file', 'no_output') };
+        }
+        return { state: 'succeeded', result: glb };
+    }
+
+    const queueResponse = await fetch(`${apiUrl}/queue`, {
+        timeout: 5000,
+        headers: { 'User-Agent': 'webcam-comfyui-app' }
+    });
+    if (!queueResponse.ok) {
+        throw new Error(`ComfyUI queue returned status: ${queueResponse.status}`);
+    }
+
+    // Queue items are [number, prompt_id, prompt, extra_data, outputs_to_execute]
+    const queue = await queueResponse.json();
+    const inQueue = items => (items || []).some(item => item[1] === promptId);
+
+    if (inQueue(queue.queue_running)) return { state: 'running' };
+    if (inQueue(queue.queue_pending)) return { state: 'queued' };
+
+    // Between leaving the queue and appearing in history
+    return { state: null };
+}
+
+// Function to POST a JSON body to a ComfyUI endpoint such as /queue or /interrupt
+async function postToComfyUI(apiUrl, pathname, body) {
+    const response = await fetch(`${apiUrl}${pathname}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'webcam-comfyui-app'
+        },
+        body: JSON.stringify(body),
+        timeout: 10000
+    });
+
+    if (!response.ok) {
+        throw new Error(`ComfyUI ${pathname} error: ${response.status} ${response.statusText}`);
+    }
+}
+
+module.exports = {
+    updateWorkflowWithImage,
+    queueComfyUIPrompt,
+    findGLBInHistoryOutputs,
+    fetchPromptStatus,
+    postToComfyUI
+};
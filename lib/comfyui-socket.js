@@ -0,0 +1,68 @@
+// lib/comfyui-socket.js - Persistent connection to ComfyUI's /ws execution feed
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Function to open (and keep reopening) the ComfyUI websocket for one client id.
+// ComfyUI only sends progress for prompts queued with the same client_id, so
+// every /prompt request must use the id passed here.
+function connectComfyUISocket(apiUrl, clientId) {
+    const events = new EventEmitter();
+    const wsUrl = `${apiUrl.replace(/^http/, 'ws')}/ws?clientId=${encodeURIComponent(clientId)}`;
+
+    let socket = null;
+    let reconnectDelay = RECONNECT_MIN_MS;
+    let reconnectTimer = null;
+    let closed = false;
+
+    function open() {
+        socket = new WebSocket(wsUrl, { headers: { 'User-Agent': 'webcam-comfyui-app' } });
+
+        socket.on('open', () => {
+            console.log(`🔌 Connected to ComfyUI websocket: ${wsUrl}`);
+            reconnectDelay = RECONNECT_MIN_MS;
+            events.emit('connected');
+        });
+
+        socket.on('message', (data, isBinary) => {
+            // Binary frames are latent previews; only JSON status messages matter here
+            if (isBinary) return;
+
+            try {
+                const message = JSON.parse(data.toString());
+                events.emit('message', message);
+            } catch (error) {
+                console.warn('⚠️  Ignoring malformed ComfyUI websocket message:', error.message);
+            }
+        });
+
+        socket.on('close', () => {
+            events.emit('disconnected');
+            if (closed) return;
+
+            console.log(`🔌 ComfyUI websocket closed, retrying in ${reconnectDelay / 1000}s`);
+            reconnectTimer = setTimeout(open, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+        });
+
+        // 'close' always follows, which schedules the reconnect
+        socket.on('error', () => {});
+    }
+
+    open();
+
+    events.isConnected = () => Boolean(socket && socket.readyState === WebSocket.OPEN);
+    events.close = () => {
+        closed = true;
+        clearTimeout(reconnectTimer);
+        if (socket) socket.close();
+    };
+
+    return events;
+}
+
+module.exports = {
+    connectComfyUISocket
+};
@@ -0,0 +1,375 @@
+// lib/config.js - Shared configuration: defaults < config.json < environment variables
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(PROJECT_ROOT, 'config.json');
+
+// Every setting: its environment variable, type and default.
+// Relative paths are resolved against the project root.
+const CONFIG_SCHEMA = {
+    comfyuiInputFolder: {
+        env: 'COMFYUI_INPUT_FOLDER',
+        type: 'directory',
+        default: '../ComfyUI/input',
+        description: 'ComfyUI input folder the captured frames are written to'
+    },
+    comfyuiOutputFolder: {
+        env: 'COMFYUI_OUTPUT_FOLDER',
+        type: 'directory',
+        default: './public/models',
+        description: 'Folder served at /models'
+    },
+    modelMeshFolder: {
+        env: 'MODEL_MESH_FOLDER',
+        type: 'directory',
+        default: './public/models/mesh',
+        description: 'Folder scanned for generated GLB meshes and served at /mesh'
+    },
+    comfyuiApiUrl: {
+        env: 'COMFYUI_API_URL',
+        type: 'url',
+        default: 'http://127.0.0.1:8188',
+        description: 'Base URL of the ComfyUI server'
+    },
+    comfyuiBackends: {
+        env: 'COMFYUI_BACKENDS',
+        type: 'urlList',
+        default: [],
+        description: 'Base URLs of several ComfyUI servers to spread generations over (comma-separated in the environment); empty uses comfyuiApiUrl alone'
+    },
+    backendHealthSeconds: {
+        env: 'BACKEND_HEALTH_SECONDS',
+        type: 'integer',
+        min: 1,
+        max: 3600,
+        default: 10,
+        description: 'Seconds between /system_stats and /queue checks of each ComfyUI backend'
+    },
+    transport: {
+        env: 'COMFYUI_TRANSPORT',
+        type: 'enum',
+        values: ['filesystem', 'http'],
+        default: 'filesystem',
+        description: 'How frames and meshes reach ComfyUI: a shared folder, or its /upload/image and /view API'
+    },
+    capturesFolder: {
+        env: 'CAPTURES_FOLDER',
+        type: 'directory',
+        default: './public/models/captures',
+        description: 'Folder keeping every source frame and its JSON metadata sidecar, served at /captures'
+    },
+    workflowsFolder: {
+        env: 'WORKFLOWS_FOLDER',
+        type: 'directory',
+        readOnly: true,
+        default: './workflows',
+        description: 'Folder of workflow presets (hot-reloaded)'
+    },
+    defaultWorkflow: {
+        env: 'DEFAULT_WORKFLOW',
+        type: 'string',
+        default: 'hunyuan3d-standard',
+        description: 'Preset id used when a request does not name a workflow'
+    },
+    port: {
+        env: 'PORT',
+        type: 'integer',
+        min: 1,
+        max: 65535,
+        default: 3000,
+        description: 'Port the web server listens on'
+    },
+    promptDelaySeconds: {
+        env: 'PROMPT_DELAY_SECONDS',
+        type: 'number',
+        min: 0,
+        default: 5,
+        description: 'Seconds to wait after saving a frame before queuing the prompt'
+    },
+    maxInFlight: {
+        env: 'MAX_IN_FLIGHT',
+        type: 'integer',
+        min: 1,
+        max: 100,
+        default: 2,
+        description: 'Generations sent to ComfyUI at once; the rest wait in the server queue'
+    },
+    maxUploadMb: {
+        env: 'MAX_UPLOAD_MB',
+        type: 'number',
+        min: 1,
+        max: 100,
+        default: 15,
+        description: 'Largest image file accepted by POST /generate, in megabytes'
+    },
+    maxMediaMb: {
+        env: 'MAX_MEDIA_MB',
+        type: 'number',
+        min: 1,
+        max: 2000,
+        default: 200,
+        description: 'Largest snapshot or turntable video accepted by POST /models/<name>/media, in megabytes'
+    },
+    maxRetries: {
+        env: 'MAX_RETRIES',
+        type: 'integer',
+        min: 0,
+        max: 5,
+        default: 1,
+        description: 'Times a generation that fails inside ComfyUI is queued again (0 turns retries off)'
+    },
+    retryStrategy: {
+        env: 'RETRY_STRATEGY',
+        type: 'enum',
+        values: ['auto', 'new-seed', 'lower-resolution'],
+        default: 'auto',
+        description: 'What a retry changes: auto lowers octree_resolution after running out of memory and tries a new seed otherwise'
+    },
+    rateLimitPerMinute: {
+        env: 'RATE_LIMIT_PER_MINUTE',
+        type: 'integer',
+        min: 0,
+        default: 10,
+        description: 'Generation requests allowed per client per minute (0 turns the limit off)'
+    },
+    requireShareToken: {
+        env: 'REQUIRE_SHARE_TOKEN',
+        type: 'boolean',
+        default: false,
+        description: 'Open /view/<model> pages only through a share link token. Not access control: the GLB (/mesh), /models, /captures and exports stay public'
+    },
+    publicUrl: {
+        env: 'PUBLIC_URL',
+        type: 'url',
+        nullable: true,
+        default: null,
+        description: 'Base URL other machines reach this server at, used for links in webhook payloads (empty: http://localhost:<port>)'
+    },
+    webhookMaxAttempts: {
+        env: 'WEBHOOK_MAX_ATTEMPTS',
+        type: 'integer',
+        min: 1,
+        max: 20,
+        default: 6,
+        description: 'Attempts per webhook delivery, counting the first'
+    },
+    webhookRetrySeconds: {
+        env: 'WEBHOOK_RETRY_SECONDS',
+        type: 'number',
+        min: 1,
+        max: 3600,
+        default: 10,
+        description: 'Seconds before the first webhook retry; each later retry waits twice as long'
+    }
+};
+
+// Function to read the optional JSON config file
+function readConfigFile(file, errors) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+
+    try {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            errors.push(`${file}: expected a JSON object`);
+            return {};
+        }
+
+        Object.keys(parsed).forEach(key => {
+            if (!CONFIG_SCHEMA[key]) {
+                errors.push(`${file}: unknown setting "${key}" (known: ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+            }
+        });
+        return parsed;
+    } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+        return {};
+    }
+}
+
+// Function to coerce one raw value to its schema type, returning an error string on failure
+function coerceValue(key, rule, raw) {
+    if (rule.nullable && raw === null) {
+        return { value: null };
+    }
+
+    switch (rule.type) {
+        case 'integer':
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+                return { error: `${key} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}, got "${raw}"` };
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return { error: `${key} must be >= ${rule.min}, got ${value}` };
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return { error: `${key} must be <= ${rule.max}, got ${value}` };
+            }
+            return { value };
+        }
+
+        case 'url': {
+            let url;
+            try {
+                url = new URL(String(raw));
+            } catch (error) {
+                return { error: `${key} must be a URL such as http://127.0.0.1:8188, got "${raw}"` };
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                return { error: `${key} must use http or https, got "${raw}"` };
+            }
+            return { value: String(raw).replace(/\/+$/, '') };
+        }
+
+        case 'urlList': {
+            const items = Array.isArray(raw) ? raw : String(raw).split(',');
+            const urls = [];
+            for (const item of items.map(entry => String(entry).trim()).filter(Boolean)) {
+                const result = coerceValue(key, { type: 'url' }, item);
+                if (result.error) {
+                    return result;
+                }
+                if (!urls.includes(result.value)) {
+                    urls.push(result.value);
+                }
+            }
+            return { value: urls };
+        }
+
+        case 'boolean':
+            if (typeof raw === 'boolean') {
+                return { value: raw };
+            }
+            if (['true', '1', 'yes'].includes(String(raw).trim().toLowerCase())) {
+                return { value: true };
+            }
+            if (['false', '0', 'no'].includes(String(raw).trim().toLowerCase())) {
+                return { value: false };
+            }
+            return { error: `${key} must be true or false, got "${raw}"` };
+
+        case 'enum':
+            if (!rule.values.includes(raw)) {
+                return { error: `${key} must be one of: ${rule.values.join(', ')}, got "${raw}"` };
+            }
+            return { value: raw };
+
+        case 'string':
+            if (typeof raw !== 'string' || raw.trim() === '') {
+                return { error: `${key} must be a non-empty string` };
+            }
+            return { value: raw.trim() };
+
+        case 'directory':
+        case 'file': {
+            if (typeof raw !== 'string' || raw.trim() === '') {
+                return { error: `${key} must be a non-empty path` };
+            }
+            if (process.platform !== 'win32' && /^[A-Za-z]:[\\/]/.test(raw)) {
+                return { error: `${key} is a Windows drive path ("${raw}") but this machine runs ${process.platform}` };
+            }
+            return { value: path.resolve(PROJECT_ROOT, raw) };
+        }
+
+        default:
+            return { value: raw };
+    }
+}
+
+// Function to check paths that already exist have the right kind and permissions
+function checkPath(key, rule, value, errors, warnings) {
+    if (!fs.existsSync(value)) {
+        if (rule.type === 'file') {
+            warnings.push(`${key}: ${value} does not exist`);
+        }
+        return;
+    }
+
+    const stats = fs.statSync(value);
+    if (rule.type === 'directory') {
+        if (!stats.isDirectory()) {
+            errors.push(`${key}: ${value} exists but is not a directory`);
+            return;
+        }
+        if (rule.readOnly) {
+            return;
+        }
+        try {
+            fs.accessSync(value, fs.constants.W_OK);
+        } catch (error) {
+            errors.push(`${key}: ${value} is not writable`);
+        }
+    } else if (rule.type === 'file' && !stats.isFile()) {
+        errors.push(`${key}: ${value} exists but is not a file`);
+    }
+}
+
+// Function to build the effective configuration and record where each value came from
+function loadConfig({ env = process.env, file } = {}) {
+    const configFile = path.resolve(file || env.WEBCAM3D_CONFIG || DEFAULT_CONFIG_FILE);
+    const errors = [];
+    const warnings = [];
+    const fileValues = readConfigFile(configFile, errors);
+
+    const values = {};
+    const sources = {};
+
+    for (const key in CONFIG_SCHEMA) {
+        const rule = CONFIG_SCHEMA[key];
+        let raw = rule.default;
+        let source = 'default';
+
+        if (fileValues[key] !== undefined) {
+            raw = fileValues[key];
+            source = `file:${configFile}`;
+        }
+        if (env[rule.env] !== undefined && env[rule.env] !== '') {
+            raw = env[rule.env];
+            source = `env:${rule.env}`;
+        }
+
+        const result = coerceValue(key, rule, raw);
+        if (result.error) {
+            errors.push(`${result.error} (from ${source})`);
+            continue;
+        }
+
+        values[key] = result.value;
+        sources[key] = source;
+
+        if (rule.type === 'directory' || rule.type === 'file') {
+            checkPath(key, rule, result.value, errors, warnings);
+        }
+    }
+
+    return {
+        values,
+        sources,
+        file: fs.existsSync(configFile) ? configFile : null,
+        errors,
+        warnings
+    };
+}
+
+// Function to describe every setting with its value and origin (used by /config)
+function describeConfig(loaded) {
+    const description = {};
+    for (const key in CONFIG_SCHEMA) {
+        description[key] = {
+            value: loaded.values[key],
+            source: loaded.sources[key],
+            env: CONFIG_SCHEMA[key].env,
+            description: CONFIG_SCHEMA[key].description
+        };
+    }
+    return description;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    loadConfig,
+    describeConfig
+};
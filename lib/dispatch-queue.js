@@ -0,0 +1,73 @@
+// lib/dispatch-queue.js - Holds generations on the server until ComfyUI has a free in-flight slot
+const { EventEmitter } = require('events');
+
+// Function to create a FIFO queue that runs at most maxInFlight entries at a time.
+// Each entry is { id, start } where start() sends the job to ComfyUI; call finished(id)
+// once the job reaches a terminal state to free its slot. Emits 'change' whenever the queue moves.
+// onError(id, error) is called when start() throws, before the slot is freed, so the caller can fail the job.
+function createDispatchQueue({ maxInFlight = 1, onError = null } = {}) {
+    const queue = new EventEmitter();
+    const pending = [];
+    const inFlight = new Set();
+
+    function pump() {
+        while (inFlight.size < maxInFlight && pending.length > 0) {
+            const entry = pending.shift();
+            inFlight.add(entry.id);
+
+            Promise.resolve()
+                .then(entry.start)
+                .catch(error => {
+                    console.error(`❌ Could not dispatch ${entry.id}:`, error.message);
+                    if (onError) {
+                        onError(entry.id, error);
+                    }
+                    finished(entry.id);
+                });
+        }
+        queue.emit('change');
+    }
+
+    function enqueue(id, start) {
+        pending.push({ id, start });
+        pump();
+    }
+
+    // Function to free a slot (or drop a waiting entry) once a job is done or cancelled
+    function finished(id) {
+        const index = pending.findIndex(entry => entry.id === id);
+        if (index !== -1) {
+            pending.splice(index, 1);
+        }
+        if (index !== -1 || inFlight.delete(id)) {
+            pump();
+        }
+    }
+
+    // Function to move a waiting entry to a new position (0 = next to run). Returns false if it is not waiting.
+    function move(id, position) {
+        const index = pending.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        const [entry] = pending.splice(index, 1);
+        pending.splice(Math.max(0, Math.min(position, pending.length)), 0, entry);
+        queue.emit('change');
+        return true;
+    }
+
+    queue.enqueue = enqueue;
+    queue.finished = finished;
+    queue.move = move;
+    queue.position = id => pending.findIndex(entry => entry.id === id);
+    queue.pendingIds = () => pending.map(entry => entry.id);
+    queue.inFlightIds = () => Array.from(inFlight);
+    queue.maxInFlight = maxInFlight;
+
+    return queue;
+}
+
+module.exports = {
+    createDispatchQueue
+};
@@ -0,0 +1,102 @@
+// lib/generation-errors.js - What went wrong inside ComfyUI when a generation fails, and how a retry can change it
+const { randomSeed } = require('./params');
+
+const RETRY_STRATEGIES = ['auto', 'new-seed', 'lower-resolution'];
+
+// A lower-resolution retry halves octree_resolution, but not below this
+const MIN_RETRY_OCTREE_RESOLUTION = 64;
+
+// Checked in order against "<exception type>: <message>"; the first match names the kind of failure
+const ERROR_KINDS = [
+    { kind: 'out_of_memory', pattern: /out of memory|OutOfMemoryError|\bOOM\b/i },
+    { kind: 'missing_model', pattern: /FileNotFoundError|No such file|checkpoint .*not found|\.(safetensors|ckpt|pth) .*not found/i },
+    { kind: 'empty_mesh', pattern: /zero-size array|empty mesh|no vertices|0 vertices|empty voxel/i }
+];
+
+// A rerun cannot fix these: the model file is missing, or someone stopped the prompt on purpose
+const NOT_RETRIED = ['missing_model', 'interrupted'];
+
+function classifyExecutionError(exceptionType, exceptionMessage) {
+    const text = `${exceptionType || ''}: ${exceptionMessage || ''}`;
+    const match = ERROR_KINDS.find(candidate => candidate.pattern.test(text));
+    return match ? match.kind : 'execution_error';
+}
+
+// Function to build error details for a failure with no failing node, e.g. a finished prompt without a GLB
+function generationFailure(message, kind = 'execution_error') {
+    return {
+        kind,
+        node_id: null,
+        class_type: null,
+        exception_type: null,
+        exception_message: message
+    };
+}
+
+// Function to read an execution_error (websocket message or history entry) into error details
+function executionErrorFromMessage(data = {}) {
+    return {
+        kind: classifyExecutionError(data.exception_type, data.exception_message),
+        node_id: data.node_id !== undefined ? data.node_id : null,
+        class_type: data.node_type || null,
+        exception_type: data.exception_type || null,
+        exception_message: data.exception_message || 'execution error'
+    };
+}
+
+// Function to find why a prompt failed in its /history status: status.messages is a list of [event, data]
+function executionErrorFromHistory(status = {}) {
+    const messages = Array.isArray(status.messages) ? status.messages : [];
+    const find = type => messages.find(message => Array.isArray(message) && message[0] === type);
+
+    const error = find('execution_error');
+    if (error) {
+        return executionErrorFromMessage(error[1]);
+    }
+    if (find('execution_interrupted')) {
+        return generationFailure('Execution was interrupted', 'interrupted');
+    }
+    return status.status_str === 'error' ? generationFailure('ComfyUI reported an execution error') : null;
+}
+
+// Function to turn error details into the one-line message kept in job.error
+function describeExecutionError(details) {
+    if (!details.class_type && details.node_id === null) {
+        return details.exception_message;
+    }
+    return `${details.class_type || 'Node'} (node ${details.node_id}): ${details.exception_message}`;
+}
+
+// Function to decide whether a failed attempt is queued again and with which params.
+// policy is { maxRetries, strategy }; attempt counts the retries already made. Returns { changes, reason } or null.
+function planRetry({ params = {}, details, attempt, policy }) {
+    if (attempt >= policy.maxRetries || NOT_RETRIED.includes(details.kind)) {
+        return null;
+    }
+
+    const lowerResolution = policy.strategy === 'lower-resolution' ||
+        (policy.strategy === 'auto' && details.kind === 'out_of_memory');
+    const current = Number(params.octree_resolution);
+
+    if (lowerResolution && Number.isInteger(current) && current > MIN_RETRY_OCTREE_RESOLUTION) {
+        const octreeResolution = Math.max(MIN_RETRY_OCTREE_RESOLUTION, Math.floor(current / 2));
+        return {
+            changes: { octree_resolution: octreeResolution },
+            reason: `octree_resolution ${current} -> ${octreeResolution}`
+        };
+    }
+
+    // Nothing left to lower (or the workflow has no octree_resolution): a different seed is the remaining lever
+    const seed = randomSeed();
+    return { changes: { seed }, reason: `new seed ${seed}` };
+}
+
+module.exports = {
+    RETRY_STRATEGIES,
+    classifyExecutionError,
+    generationFailure,
+    executionErrorFromMessage,
+    executionErrorFromHistory,
+    describeExecutionError,
+    planRetry
+};
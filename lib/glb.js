@@ -0,0 +1,319 @@
+// lib/glb.js - Minimal GLB (binary glTF 2.0) reader that flattens every mesh into one triangle list, and a single-mesh writer
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const COMPONENT_READERS = {
+    5120: { size: 1, read: (view, offset) => view.getInt8(offset), max: 127 },
+    5121: { size: 1, read: (view, offset) => view.getUint8(offset), max: 255 },
+    5122: { size: 2, read: (view, offset) => view.getInt16(offset, true), max: 32767 },
+    5123: { size: 2, read: (view, offset) => view.getUint16(offset, true), max: 65535 },
+    5125: { size: 4, read: (view, offset) => view.getUint32(offset, true), max: 4294967295 },
+    5126: { size: 4, read: (view, offset) => view.getFloat32(offset, true), max: 1 }
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// Function to split a GLB file into its JSON document and binary chunk
+function parseGLB(buffer) {
+    if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+        throw new Error('not a GLB file (bad magic)');
+    }
+    if (buffer.readUInt32LE(4) !== 2) {
+        throw new Error(`unsupported glTF container version ${buffer.readUInt32LE(4)}`);
+    }
+
+    const length = Math.min(buffer.readUInt32LE(8), buffer.length);
+    let offset = 12;
+    let json = null;
+    let bin = null;
+
+    while (offset + 8 <= length) {
+        const chunkLength = buffer.readUInt32LE(offset);
+        const chunkType = buffer.readUInt32LE(offset + 4);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + chunkLength);
+
+        if (chunk.length !== chunkLength) {
+            throw new Error('GLB chunk is truncated');
+        }
+        if (chunkType === CHUNK_JSON && !json) {
+            json = JSON.parse(chunk.toString('utf8'));
+        } else if (chunkType === CHUNK_BIN && !bin) {
+            bin = chunk;
+        }
+        offset += 8 + chunkLength;
+    }
+
+    if (!json) {
+        throw new Error('GLB has no JSON chunk');
+    }
+    return { json, bin };
+}
+
+// Function to read an accessor into a flat array of numbers
+function readAccessor(gltf, bin, index) {
+    const accessor = gltf.accessors && gltf.accessors[index];
+    if (!accessor) {
+        throw new Error(`accessor ${index} does not exist`);
+    }
+    if (accessor.sparse) {
+        throw new Error('sparse accessors are not supported');
+    }
+
+    const reader = COMPONENT_READERS[accessor.componentType];
+    const components = TYPE_SIZES[accessor.type];
+    if (!reader || !components) {
+        throw new Error(`accessor ${index} has unsupported type ${accessor.type}/${accessor.componentType}`);
+    }
+
+    const values = new Array(accessor.count * components);
+    if (accessor.bufferView === undefined) {
+        return values.fill(0); // glTF: an accessor without a buffer view is all zeros
+    }
+
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    if (!bin || !bufferView || (bufferView.buffer || 0) !== 0) {
+        throw new Error(`accessor ${index} points outside the GLB binary chunk`);
+    }
+
+    const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    const stride = bufferView.byteStride || reader.size * components;
+    const end = start + stride * (accessor.count - 1) + reader.size * components;
+    if (accessor.count > 0 && end > bin.length) {
+        throw new Error(`accessor ${index} reads past the end of the binary chunk`);
+    }
+
+    const view = new DataView(bin.buffer, bin.byteOffset, bin.byteLength);
+    for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < components; c++) {
+            const value = reader.read(view, start + i * stride + c * reader.size);
+            values[i * components + c] = accessor.normalized && accessor.componentType !== 5126
+                ? Math.max(value / reader.max, -1)
+                : value;
+        }
+    }
+    return values;
+}
+
+// 4x4 column-major matrix helpers (glTF's layout)
+function identity() {
+    return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+function multiply(a, b) {
+    const out = new Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[col * 4 + k];
+            }
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+function nodeMatrix(node) {
+    if (node.matrix) {
+        return node.matrix.slice();
+    }
+
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+    return [
+        (1 - 2 * (y * y + z * z)) * sx, (2 * (x * y + z * w)) * sx, (2 * (x * z - y * w)) * sx, 0,
+        (2 * (x * y - z * w)) * sy, (1 - 2 * (x * x + z * z)) * sy, (2 * (y * z + x * w)) * sy, 0,
+        (2 * (x * z + y * w)) * sz, (2 * (y * z - x * w)) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+// Function to turn a primitive's index list into plain triangles
+function triangleIndices(mode, indices) {
+    if (mode === MODE_TRIANGLES) {
+        return indices.slice(0, indices.length - (indices.length % 3));
+    }
+
+    const triangles = [];
+    for (let i = 2; i < indices.length; i++) {
+        if (mode === MODE_TRIANGLE_STRIP) {
+            triangles.push(...(i % 2 === 0
+                ? [indices[i - 2], indices[i - 1], indices[i]]
+                : [indices[i - 1], indices[i - 2], indices[i]]));
+        } else {
+            triangles.push(indices[0], indices[i - 1], indices[i]);
+        }
+    }
+    return triangles;
+}
+
+// Function to collect every triangle mesh in the default scene, in world space (glTF units: metres, Y up).
+// Returns { positions: Float32Array (x, y, z per vertex), indices: Uint32Array (3 per triangle) }.
+function readGLBMesh(buffer) {
+    const { json: gltf, bin } = parseGLB(buffer);
+
+    if ((gltf.extensionsRequired || []).length > 0) {
+        throw new Error(`GLB requires unsupported extensions: ${gltf.extensionsRequired.join(', ')}`);
+    }
+
+    const positions = [];
+    const indices = [];
+    const nodes = gltf.nodes || [];
+
+    function addMesh(mesh, matrix) {
+        (mesh.primitives || []).forEach(primitive => {
+            const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+            if (![MODE_TRIANGLES, MODE_TRIANGLE_STRIP, MODE_TRIANGLE_FAN].includes(mode)) {
+                return; // points and lines have no surface to export
+            }
+            if (!primitive.attributes || primitive.attributes.POSITION === undefined) {
+                return;
+            }
+
+            const local = readAccessor(gltf, bin, primitive.attributes.POSITION);
+            const base = positions.length / 3;
+            const vertexCount = local.length / 3;
+
+            for (let i = 0; i < local.length; i += 3) {
+                const [x, y, z] = [local[i], local[i + 1], local[i + 2]];
+                positions.push(
+                    matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+                    matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+                    matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+                );
+            }
+
+            const primitiveIndices = primitive.indices !== undefined
+                ? readAccessor(gltf, bin, primitive.indices)
+                : Array.from({ length: vertexCount }, (_, i) => i);
+
+            // A mirroring transform flips the winding; swap two corners to keep faces pointing out
+            const mirrored = determinant(matrix) < 0;
+            const triangles = triangleIndices(mode, primitiveIndices);
+            for (let i = 0; i < triangles.length; i += 3) {
+                const [a, b, c] = mirrored
+                    ? [triangles[i], triangles[i + 2], triangles[i + 1]]
+                    : [triangles[i], triangles[i + 1], triangles[i + 2]];
+                if (a >= vertexCount || b >= vertexCount || c >= vertexCount) {
+                    throw new Error('triangle index out of range');
+                }
+                indices.push(base + a, base + b, base + c);
+            }
+        });
+    }
+
+    function visit(nodeIndex, parentMatrix, depth) {
+        const node = nodes[nodeIndex];
+        if (!node || depth > 64) return;
+
+        const matrix = multiply(parentMatrix, nodeMatrix(node));
+        if (node.mesh !== undefined && gltf.meshes && gltf.meshes[node.mesh]) {
+            addMesh(gltf.meshes[node.mesh], matrix);
+        }
+        (node.children || []).forEach(child => visit(child, matrix, depth + 1));
+    }
+
+    const scenes = gltf.scenes || [];
+    const scene = scenes[gltf.scene || 0];
+
+    if (scene) {
+        (scene.nodes || []).forEach(nodeIndex => visit(nodeIndex, identity(), 0));
+    } else {
+        // No scene: fall back to the raw meshes with no transform
+        (gltf.meshes || []).forEach(mesh => addMesh(mesh, identity()));
+    }
+
+    return {
+        positions: Float32Array.from(positions),
+        indices: Uint32Array.from(indices)
+    };
+}
+
+// Function to write a single-mesh GLB from flat positions, normals (optional) and triangle indices
+function buildGLB({ positions, normals = null, indices, color = [0.8, 0.8, 0.8, 1] }) {
+    const align = buffer => Buffer.concat([buffer, Buffer.alloc((4 - (buffer.length % 4)) % 4)]);
+    const vertexCount = positions.length / 3;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+        min[i % 3] = Math.min(min[i % 3], positions[i]);
+        max[i % 3] = Math.max(max[i % 3], positions[i]);
+    }
+
+    const views = [
+        Buffer.from(Float32Array.from(positions).buffer),
+        ...(normals ? [Buffer.from(Float32Array.from(normals).buffer)] : []),
+        Buffer.from(Uint32Array.from(indices).buffer)
+    ];
+    let byteOffset = 0;
+    const bufferViews = views.map((view, index) => {
+        const entry = {
+            buffer: 0,
+            byteOffset,
+            byteLength: view.length,
+            target: index === views.length - 1 ? 34963 : 34962 // ELEMENT_ARRAY_BUFFER : ARRAY_BUFFER
+        };
+        byteOffset += view.length;
+        return entry;
+    });
+
+    const accessors = [
+        { bufferView: 0, componentType: 5126, count: vertexCount, type: 'VEC3', min, max },
+        ...(normals ? [{ bufferView: 1, componentType: 5126, count: vertexCount, type: 'VEC3' }] : []),
+        { bufferView: views.length - 1, componentType: 5125, count: indices.length, type: 'SCALAR' }
+    ];
+    const attributes = normals ? { POSITION: 0, NORMAL: 1 } : { POSITION: 0 };
+
+    const bin = align(Buffer.concat(views));
+    const gltf = {
+        asset: { version: '2.0', generator: 'webcam-comfyui-app' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0 }],
+        meshes: [{ primitives: [{ attributes, indices: accessors.length - 1, material: 0 }] }],
+        materials: [{ pbrMetallicRoughness: { baseColorFactor: color, metallicFactor: 0, roughnessFactor: 0.8 } }],
+        buffers: [{ byteLength: bin.length }],
+        bufferViews,
+        accessors
+    };
+    // The JSON chunk is padded with spaces, the binary chunk with zeros
+    const json = Buffer.from(JSON.stringify(gltf));
+    const jsonChunk = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, 0x20)]);
+
+    const chunkHeader = (length, type) => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32LE(length, 0);
+        header.writeUInt32LE(type, 4);
+        return header;
+    };
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(GLB_MAGIC, 0);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + bin.length, 8);
+
+    return Buffer.concat([
+        header,
+        chunkHeader(jsonChunk.length, CHUNK_JSON), jsonChunk,
+        chunkHeader(bin.length, CHUNK_BIN), bin
+    ]);
+}
+
+function determinant(m) {
+    return m[0] * (m[5] * m[10] - m[9] * m[6])
+        - m[4] * (m[1] * m[10] - m[9] * m[2])
+        + m[8] * (m[1] * m[6] - m[5] * m[2]);
+}
+
+module.exports = {
+    parseGLB,
+    readGLBMesh,
+    buildGLB
+};
@@ -0,0 +1,39 @@
+// lib/image-types.js - Recognise uploaded images by their leading bytes, not by name or declared type
+const IMAGE_TYPES = [
+    {
+        type: 'jpeg',
+        extension: 'jpg',
+        contentType: 'image/jpeg',
+        matches: buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+    },
+    {
+        type: 'png',
+        extension: 'png',
+        contentType: 'image/png',
+        matches: buffer => buffer.length > 8 &&
+            buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    },
+    {
+        type: 'webp',
+        extension: 'webp',
+        contentType: 'image/webp',
+        // RIFF <size> WEBP
+        matches: buffer => buffer.length > 12 &&
+            buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+    }
+];
+
+// Function to detect a JPEG, PNG or WebP image; returns { type, extension, contentType } or null
+function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+        return null;
+    }
+
+    const match = IMAGE_TYPES.find(candidate => candidate.matches(buffer));
+    return match ? { type: match.type, extension: match.extension, contentType: match.contentType } : null;
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    detectImageType
+};
@@ -0,0 +1,158 @@
+// lib/jobs.js - In-memory registry tracking each capture through ComfyUI
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Lifecycle: saved -> queued -> running -> succeeded | failed, or cancelled from any live state
+const JOB_STATES = ['saved', 'queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const TERMINAL_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// Keep the registry bounded; oldest finished jobs are dropped first
+const MAX_JOBS = 200;
+
+const jobs = new Map();
+
+// Emits 'update' on every state change and 'progress' on execution progress
+const jobEvents = new EventEmitter();
+
+// Function to generate a short, sortable job id
+function generateJobId() {
+    return `job_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Function to drop the oldest finished jobs once the registry is full
+function pruneJobs() {
+    if (jobs.size <= MAX_JOBS) return;
+
+    for (const [id, job] of jobs) {
+        if (jobs.size <= MAX_JOBS) break;
+        if (isTerminal(job)) {
+            jobs.delete(id);
+        }
+    }
+}
+
+// Function to create a job for a freshly saved capture
+function createJob(details = {}, { log = console.log } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: generateJobId(),
+        state: 'saved',
+        capture_id: details.captureId || null,
+        filename: details.filename || null,
+        views: details.views || null,
+        workflow: details.workflow || null,
+        params: details.params || {},
+        rerun_of: details.rerunOf || null,
+        preprocess: details.preprocess || null,
+        session_id: details.sessionId || null,
+        prompt_id: null,
+        queue_number: null,
+        backend: null,
+        failovers: [],
+        retries: [],
+        result: null,
+        error: null,
+        error_details: null,
+        progress: null,
+        timings: {
+            saved_at: now,
+            queued_at: null,
+            started_at: null,
+            finished_at: null
+        },
+        updated_at: now
+    };
+
+    jobs.set(job.id, job);
+    pruneJobs();
+    log(`🆕 Job ${job.id} created for ${job.filename}`);
+    return job;
+}
+
+// Function to move a job to a new state, stamping the matching timing
+function updateJobState(job, state, changes = {}, { log = console.log } = {}) {
+    if (!JOB_STATES.includes(state)) {
+        throw new Error(`Unknown job state: ${state}`);
+    }
+    if (isTerminal(job)) {
+        return job;
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(job, changes);
+    job.state = state;
+    job.updated_at = now;
+
+    if (state === 'queued' && !job.timings.queued_at) {
+        job.timings.queued_at = now;
+    }
+    if (state === 'running' && !job.timings.started_at) {
+        job.timings.started_at = now;
+    }
+    if (TERMINAL_STATES.includes(state)) {
+        job.timings.finished_at = now;
+    }
+
+    log(`🔄 Job ${job.id} -> ${state}`);
+    jobEvents.emit('update', job);
+    return job;
+}
+
+// Function to record live execution progress reported by ComfyUI
+function updateJobProgress(job, progress) {
+    if (isTerminal(job)) {
+        return job;
+    }
+
+    job.progress = { ...job.progress, ...progress };
+    jobEvents.emit('progress', job);
+    return job;
+}
+
+function isTerminal(job) {
+    return TERMINAL_STATES.includes(job.state);
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function findJobByPromptId(promptId) {
+    for (const job of jobs.values()) {
+        if (job.prompt_id === promptId) return job;
+    }
+    return null;
+}
+
+// Function to list jobs, newest first
+function listJobs() {
+    return Array.from(jobs.values()).reverse();
+}
+
+// Function to build the public view of a job with derived durations
+function serializeJob(job) {
+    const { timings } = job;
+    const elapsed = (from, to) => (from ? ((to ? Date.parse(to) : Date.now()) - Date.parse(from)) / 1000 : null);
+
+    return {
+        ...job,
+        durations: {
+            waiting_seconds: elapsed(timings.queued_at, timings.started_at || timings.finished_at),
+            running_seconds: elapsed(timings.started_at, timings.finished_at),
+            total_seconds: elapsed(timings.saved_at, timings.finished_at)
+        }
+    };
+}
+
+module.exports = {
+    JOB_STATES,
+    jobEvents,
+    createJob,
+    updateJobState,
+    updateJobProgress,
+    isTerminal,
+    getJob,
+    findJobByPromptId,
+    listJobs,
+    serializeJob
+};
@@ -0,0 +1,184 @@
+// lib/mesh-export.js - Convert a mesh read from a GLB into OBJ, STL or PLY
+const EXPORT_FORMATS = {
+    obj: { contentType: 'model/obj', extension: 'obj' },
+    stl: { contentType: 'model/stl', extension: 'stl' },
+    ply: { contentType: 'application/x-ply', extension: 'ply' }
+};
+
+// Scale factors from glTF metres to the requested unit
+const UNIT_SCALES = { m: 1, cm: 100, mm: 1000, in: 1 / 0.0254 };
+
+const UP_AXES = ['y', 'z'];
+
+// Own keys only: a name like "constructor" or "toString" must not pass as a format or unit
+function hasOption(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+// Function to check the export query (format, units, scale, up) the same way params are checked
+function validateExportOptions(query = {}) {
+    const errors = [];
+    const options = { format: 'obj', units: 'm', scale: 1, up: 'y' };
+
+    if (query.format !== undefined) {
+        const format = String(query.format).toLowerCase();
+        if (!hasOption(EXPORT_FORMATS, format)) {
+            errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        options.format = format;
+    }
+
+    if (query.units !== undefined) {
+        if (!hasOption(UNIT_SCALES, query.units)) {
+            errors.push(`units must be one of: ${Object.keys(UNIT_SCALES).join(', ')}`);
+        }
+        options.units = query.units;
+    }
+
+    if (query.scale !== undefined) {
+        const scale = Number(query.scale);
+        if (!Number.isFinite(scale) || scale <= 0) {
+            errors.push('scale must be a positive number');
+        }
+        options.scale = scale;
+    }
+
+    if (query.up !== undefined) {
+        const up = String(query.up).toLowerCase();
+        if (!UP_AXES.includes(up)) {
+            errors.push(`up must be one of: ${UP_AXES.join(', ')}`);
+        }
+        options.up = up;
+    }
+
+    return { options, errors };
+}
+
+// Function to apply unit scale and up axis to a Y-up mesh in metres (returns new positions)
+function transformPositions(positions, { units = 'm', scale = 1, up = 'y' } = {}) {
+    const factor = UNIT_SCALES[units] * scale;
+    const out = new Float32Array(positions.length);
+
+    for (let i = 0; i < positions.length; i += 3) {
+        const x = positions[i] * factor;
+        const y = positions[i + 1] * factor;
+        const z = positions[i + 2] * factor;
+
+        if (up === 'z') {
+            // Rotate +90° about X: glTF's +Y becomes +Z, front (+Z) becomes -Y
+            out[i] = x;
+            out[i + 1] = -z;
+            out[i + 2] = y;
+        } else {
+            out[i] = x;
+            out[i + 1] = y;
+            out[i + 2] = z;
+        }
+    }
+    return out;
+}
+
+function toOBJ({ positions, indices }, name) {
+    const lines = [`# Exported by webcam-comfyui-app from ${name}`, `o ${name}`];
+
+    for (let i = 0; i < positions.length; i += 3) {
+        lines.push(`v ${positions[i]} ${positions[i + 1]} ${positions[i + 2]}`);
+    }
+    // OBJ indices are 1-based
+    for (let i = 0; i < indices.length; i += 3) {
+        lines.push(`f ${indices[i] + 1} ${indices[i + 1] + 1} ${indices[i + 2] + 1}`);
+    }
+
+    return Buffer.from(lines.join('\n') + '\n', 'utf8');
+}
+
+// Binary STL: 80-byte header, triangle count, then normal + 3 vertices + attribute per facet
+function toSTL({ positions, indices }, name) {
+    const triangleCount = indices.length / 3;
+    const buffer = Buffer.alloc(84 + triangleCount * 50);
+
+    buffer.write(`webcam-comfyui-app ${name}`.slice(0, 80), 0, 'ascii');
+    buffer.writeUInt32LE(triangleCount, 80);
+
+    let offset = 84;
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [indices[t] * 3, indices[t + 1] * 3, indices[t + 2] * 3];
+        const u = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+        const v = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+        const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(...normal) || 1;
+
+        normal.forEach(component => {
+            buffer.writeFloatLE(component / length, offset);
+            offset += 4;
+        });
+        [a, b, c].forEach(vertex => {
+            buffer.writeFloatLE(positions[vertex], offset);
+            buffer.writeFloatLE(positions[vertex + 1], offset + 4);
+            buffer.writeFloatLE(positions[vertex + 2], offset + 8);
+            offset += 12;
+        });
+        offset += 2; // attribute byte count, unused
+    }
+
+    return buffer;
+}
+
+// Binary little-endian PLY with float vertices and uint32 triangle indices
+function toPLY({ positions, indices }, name) {
+    const vertexCount = positions.length / 3;
+    const faceCount = indices.length / 3;
+    const header = Buffer.from([
+        'ply',
+        'format binary_little_endian 1.0',
+        `comment Exported by webcam-comfyui-app from ${name}`,
+        `element vertex ${vertexCount}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        `element face ${faceCount}`,
+        'property list uchar uint vertex_indices',
+        'end_header',
+        ''
+    ].join('\n'), 'ascii');
+
+    const body = Buffer.alloc(vertexCount * 12 + faceCount * 13);
+    let offset = 0;
+
+    for (let i = 0; i < positions.length; i++) {
+        body.writeFloatLE(positions[i], offset);
+        offset += 4;
+    }
+    for (let t = 0; t < indices.length; t += 3) {
+        body.writeUInt8(3, offset);
+        body.writeUInt32LE(indices[t], offset + 1);
+        body.writeUInt32LE(indices[t + 1], offset + 5);
+        body.writeUInt32LE(indices[t + 2], offset + 9);
+        offset += 13;
+    }
+
+    return Buffer.concat([header, body]);
+}
+
+const WRITERS = { obj: toOBJ, stl: toSTL, ply: toPLY };
+
+// Function to export a mesh from readGLBMesh with validated options
+function exportMesh(mesh, options, name = 'mesh') {
+    const transformed = {
+        positions: transformPositions(mesh.positions, options),
+        indices: mesh.indices
+    };
+
+    return {
+        body: WRITERS[options.format](transformed, name),
+        contentType: EXPORT_FORMATS[options.format].contentType,
+        extension: EXPORT_FORMATS[options.format].extension
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    UNIT_SCALES,
+    validateExportOptions,
+    exportMesh
+};
@@ -0,0 +1,143 @@
+// lib/mesh-stats.js - Checks a generated GLB and measures its mesh (counts, bounds, components, watertightness)
+const fs = require('fs');
+const { readGLBMesh } = require('./glb');
+
+// Vertices closer than this fraction of the bounding-box diagonal are treated as one
+// (GLB exporters split vertices along UV and normal seams, which would otherwise look like holes)
+const WELD_TOLERANCE = 1e-6;
+
+function boundingBox(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], positions[i + axis]);
+            max[axis] = Math.max(max[axis], positions[i + axis]);
+        }
+    }
+    return { min, max, size: max.map((value, axis) => value - min[axis]) };
+}
+
+// Function to map every vertex to a welded vertex id; returns { ids, count }
+function weldVertices(positions, box) {
+    const diagonal = Math.hypot(...box.size);
+    const step = diagonal > 0 ? diagonal * WELD_TOLERANCE : 1;
+    const ids = new Uint32Array(positions.length / 3);
+    const seen = new Map();
+
+    for (let i = 0; i < ids.length; i++) {
+        const key = `${Math.round(positions[i * 3] / step)},${Math.round(positions[i * 3 + 1] / step)},${Math.round(positions[i * 3 + 2] / step)}`;
+        let id = seen.get(key);
+        if (id === undefined) {
+            id = seen.size;
+            seen.set(key, id);
+        }
+        ids[i] = id;
+    }
+    return { ids, count: seen.size };
+}
+
+function findRoot(parents, vertex) {
+    while (parents[vertex] !== vertex) {
+        parents[vertex] = parents[parents[vertex]];
+        vertex = parents[vertex];
+    }
+    return vertex;
+}
+
+// Function to measure a mesh from readGLBMesh. A mesh is watertight when every edge
+// is shared by exactly two triangles; boundary edges border a hole, non-manifold edges have 3+ faces.
+function computeMeshStats({ positions, indices }) {
+    const vertexCount = positions.length / 3;
+    const triangleCount = indices.length / 3;
+
+    if (vertexCount === 0 || triangleCount === 0) {
+        return {
+            vertex_count: vertexCount,
+            triangle_count: triangleCount,
+            bounding_box: null,
+            component_count: 0,
+            watertight: false,
+            boundary_edges: 0,
+            non_manifold_edges: 0
+        };
+    }
+
+    const box = boundingBox(positions);
+    const welded = weldVertices(positions, box);
+    const parents = Uint32Array.from({ length: welded.count }, (_, i) => i);
+    const used = new Uint8Array(welded.count);
+    const edges = new Map();
+
+    const addEdge = (a, b) => {
+        const key = a < b ? a * welded.count + b : b * welded.count + a;
+        edges.set(key, (edges.get(key) || 0) + 1);
+    };
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = welded.ids[indices[i]];
+        const b = welded.ids[indices[i + 1]];
+        const c = welded.ids[indices[i + 2]];
+
+        used[a] = used[b] = used[c] = 1;
+        parents[findRoot(parents, b)] = findRoot(parents, a);
+        parents[findRoot(parents, c)] = findRoot(parents, a);
+
+        if (a === b || b === c || a === c) continue; // degenerate triangles have no real edges
+        addEdge(a, b);
+        addEdge(b, c);
+        addEdge(c, a);
+    }
+
+    let componentCount = 0;
+    for (let vertex = 0; vertex < welded.count; vertex++) {
+        if (used[vertex] && findRoot(parents, vertex) === vertex) {
+            componentCount++;
+        }
+    }
+
+    let boundaryEdges = 0;
+    let nonManifoldEdges = 0;
+    for (const faces of edges.values()) {
+        if (faces === 1) boundaryEdges++;
+        if (faces > 2) nonManifoldEdges++;
+    }
+
+    return {
+        vertex_count: vertexCount,
+        triangle_count: triangleCount,
+        bounding_box: box,
+        component_count: componentCount,
+        watertight: edges.size > 0 && boundaryEdges === 0 && nonManifoldEdges === 0,
+        boundary_edges: boundaryEdges,
+        non_manifold_edges: nonManifoldEdges
+    };
+}
+
+// Function to validate a GLB and measure it. Never throws: returns { valid: true, ...stats }
+// or { valid: false, error } for a corrupt file or one with no triangles.
+function analyzeGLB(buffer) {
+    let mesh;
+    try {
+        mesh = readGLBMesh(buffer);
+    } catch (error) {
+        return { valid: false, error: `Corrupt GLB: ${error.message}` };
+    }
+
+    const stats = computeMeshStats(mesh);
+    if (stats.triangle_count === 0) {
+        return { valid: false, error: 'GLB contains no triangles', ...stats };
+    }
+    return { valid: true, ...stats };
+}
+
+function analyzeGLBFile(filePath) {
+    return analyzeGLB(fs.readFileSync(filePath));
+}
+
+module.exports = {
+    computeMeshStats,
+    analyzeGLB,
+    analyzeGLBFile
+};
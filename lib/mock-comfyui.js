@@ -0,0 +1,509 @@
+// lib/mock-comfyui.js - Stand-in for the parts of the ComfyUI API this app uses, for demos and tests without a GPU.
+// Graphs are checked against the node classes used by the workflow presets, execution is simulated with
+// websocket progress, and SaveGLB writes a small procedural mesh into the mesh folder.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const WebSocket = require('ws');
+const { buildGLB } = require('./glb');
+
+const DEFAULT_NODE_DELAY_MS = 150;
+const DEFAULT_STEP_DELAY_MS = 50;
+const MAX_HISTORY = 200;
+const MOCK_VRAM_BYTES = 8 * 1024 * 1024 * 1024;
+
+// Function to learn node classes from the preset graphs: class_type -> inputs present in every use (required)
+function collectNodeClasses(workflowsFolder) {
+    const classes = {};
+
+    if (!fs.existsSync(workflowsFolder)) {
+        return classes;
+    }
+
+    fs.readdirSync(workflowsFolder)
+        .filter(file => file.toLowerCase().endsWith('.json'))
+        .forEach(file => {
+            let data;
+            try {
+                data = JSON.parse(fs.readFileSync(path.join(workflowsFolder, file), 'utf8'));
+            } catch (error) {
+                console.warn(`⚠️  Mock ComfyUI: skipping unreadable preset ${file}: ${error.message}`);
+                return;
+            }
+
+            // A preset wraps its graph in "workflow"; a bare API export is the graph itself
+            const graph = data.workflow && typeof data.workflow === 'object' ? data.workflow : data;
+            Object.values(graph).forEach(node => {
+                if (!node || typeof node.class_type !== 'string') return;
+
+                const inputs = Object.keys(node.inputs || {});
+                const known = classes[node.class_type];
+                classes[node.class_type] = known
+                    ? { required: known.required.filter(input => inputs.includes(input)) }
+                    : { required: inputs };
+            });
+        });
+
+    return classes;
+}
+
+const isLink = value => Array.isArray(value) && value.length === 2 && typeof value[0] === 'string' && Number.isInteger(value[1]);
+const isOutputClass = classType => /^Save/.test(classType);
+
+// Function to validate a prompt the way ComfyUI's /prompt does. Returns null, or the 400 body ComfyUI would send.
+function validatePrompt(prompt, nodeClasses, imageExists) {
+    if (!prompt || typeof prompt !== 'object' || Array.isArray(prompt) || Object.keys(prompt).length === 0) {
+        return { error: { type: 'invalid_prompt', message: 'Prompt must be a non-empty object of nodes', details: '', extra_info: {} }, node_errors: {} };
+    }
+
+    const nodeErrors = {};
+    const addError = (nodeId, classType, type, message, details) => {
+        nodeErrors[nodeId] = nodeErrors[nodeId] || { errors: [], dependent_outputs: [], class_type: classType };
+        nodeErrors[nodeId].errors.push({ type, message, details, extra_info: {} });
+    };
+
+    for (const [nodeId, node] of Object.entries(prompt)) {
+        const classType = node && node.class_type;
+        if (!classType || !nodeClasses[classType]) {
+            return {
+                error: {
+                    type: 'invalid_prompt',
+                    message: `Cannot execute because node ${classType || '(no class_type)'} does not exist.`,
+                    details: `Node ID '#${nodeId}'`,
+                    extra_info: {}
+                },
+                node_errors: {}
+            };
+        }
+
+        const inputs = node.inputs || {};
+        nodeClasses[classType].required.forEach(input => {
+            if (inputs[input] === undefined) {
+                addError(nodeId, classType, 'required_input_missing', 'Required input is missing', input);
+            }
+        });
+
+        Object.entries(inputs).forEach(([input, value]) => {
+            if (isLink(value) && !prompt[value[0]]) {
+                addError(nodeId, classType, 'bad_linked_input', 'Bad linked input, node does not exist', `${input} -> ${value[0]}`);
+            }
+        });
+
+        if (classType === 'LoadImage' && !imageExists(inputs.image)) {
+            addError(nodeId, classType, 'value_not_in_list', 'Value not in list', `image: '${inputs.image}' not in input folder`);
+        }
+    }
+
+    if (!Object.values(prompt).some(node => isOutputClass(node.class_type))) {
+        return { error: { type: 'prompt_no_outputs', message: 'Prompt has no outputs', details: '', extra_info: {} }, node_errors: {} };
+    }
+    if (Object.keys(nodeErrors).length > 0) {
+        return { error: { type: 'prompt_outputs_failed_validation', message: 'Prompt outputs failed validation', details: '', extra_info: {} }, node_errors: nodeErrors };
+    }
+    return null;
+}
+
+// Function to order nodes so every node runs after the nodes it takes links from
+function executionOrder(prompt) {
+    const order = [];
+    const state = {};
+
+    const visit = nodeId => {
+        if (state[nodeId] === 'done' || state[nodeId] === 'visiting') return;
+        state[nodeId] = 'visiting';
+        Object.values(prompt[nodeId].inputs || {}).forEach(value => {
+            if (isLink(value) && prompt[value[0]]) visit(value[0]);
+        });
+        state[nodeId] = 'done';
+        order.push(nodeId);
+    };
+
+    Object.keys(prompt).forEach(visit);
+    return order;
+}
+
+// Deterministic pseudo-random numbers so one seed always gives the same mesh
+function seededRandom(seed) {
+    let value = (Number(seed) % 2147483647) || 1;
+    if (value < 0) value += 2147483646;
+    return () => {
+        value = (value * 16807) % 2147483647;
+        return (value - 1) / 2147483646;
+    };
+}
+
+// Function to build a closed, lumpy sphere (watertight, one component) whose shape depends on the seed
+// and whose density follows octree_resolution, roughly like a real output would
+function buildProceduralMesh(seed, octreeResolution = 256) {
+    const random = seededRandom(seed);
+    const rings = Math.max(8, Math.min(64, Math.round(octreeResolution / 8)));
+    const segments = rings * 2;
+    const lobes = Array.from({ length: 3 }, () => ({
+        frequency: 1 + Math.floor(random() * 4),
+        phase: random() * Math.PI * 2,
+        amplitude: 0.05 + random() * 0.15
+    }));
+
+    const radius = (theta, phi) => 1 + lobes.reduce((sum, lobe) =>
+        sum + lobe.amplitude * Math.sin(lobe.frequency * phi + lobe.phase) * Math.sin(lobe.frequency * theta), 0);
+
+    const positions = [];
+    const point = (theta, phi) => {
+        const r = radius(theta, phi) * 0.5;
+        positions.push(r * Math.sin(theta) * Math.cos(phi), r * Math.cos(theta), r * Math.sin(theta) * Math.sin(phi));
+    };
+
+    point(0, 0); // top pole
+    for (let ring = 1; ring < rings; ring++) {
+        for (let segment = 0; segment < segments; segment++) {
+            point(Math.PI * ring / rings, Math.PI * 2 * segment / segments);
+        }
+    }
+    point(Math.PI, 0); // bottom pole
+
+    const bottom = positions.length / 3 - 1;
+    const vertex = (ring, segment) => 1 + (ring - 1) * segments + (segment % segments);
+    const indices = [];
+
+    for (let segment = 0; segment < segments; segment++) {
+        indices.push(0, vertex(1, segment + 1), vertex(1, segment));
+        indices.push(bottom, vertex(rings - 1, segment), vertex(rings - 1, segment + 1));
+    }
+    for (let ring = 1; ring < rings - 1; ring++) {
+        for (let segment = 0; segment < segments; segment++) {
+            const a = vertex(ring, segment);
+            const b = vertex(ring, segment + 1);
+            const c = vertex(ring + 1, segment);
+            const d = vertex(ring + 1, segment + 1);
+            indices.push(a, b, c, b, d, c);
+        }
+    }
+
+    // Smooth normals: sum of adjacent face normals
+    const normals = new Float32Array(positions.length);
+    for (let i = 0; i < indices.length; i += 3) {
+        const [a, b, c] = [indices[i] * 3, indices[i + 1] * 3, indices[i + 2] * 3];
+        const u = [0, 1, 2].map(axis => positions[b + axis] - positions[a + axis]);
+        const v = [0, 1, 2].map(axis => positions[c + axis] - positions[a + axis]);
+        const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        [a, b, c].forEach(offset => {
+            normals[offset] += normal[0];
+            normals[offset + 1] += normal[1];
+            normals[offset + 2] += normal[2];
+        });
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+        const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+        normals[i] /= length;
+        normals[i + 1] /= length;
+        normals[i + 2] /= length;
+    }
+
+    const color = [0.3 + random() * 0.6, 0.3 + random() * 0.6, 0.3 + random() * 0.6, 1];
+    return { positions, normals, indices, color };
+}
+
+// Function to pick the next free <prefix>_00001_.glb name, like SaveGLB's counter
+function nextOutputName(folder, prefix) {
+    const base = path.basename(prefix);
+    const taken = fs.existsSync(folder) ? fs.readdirSync(folder) : [];
+    let counter = 1;
+    while (taken.includes(`${base}_${String(counter).padStart(5, '0')}_.glb`)) {
+        counter++;
+    }
+    return `${base}_${String(counter).padStart(5, '0')}_.glb`;
+}
+
+// Function to fail a node the way a real GPU run can: VAEDecodeHunyuan3D runs out of memory above maxOctreeResolution
+function simulateNodeFailure(node, maxOctreeResolution) {
+    if (maxOctreeResolution && node.class_type === 'VAEDecodeHunyuan3D' &&
+        Number(node.inputs.octree_resolution) > maxOctreeResolution) {
+        const error = new Error(`Allocation on device 0 would exceed allowed memory. (out of memory) ` +
+            `octree_resolution ${node.inputs.octree_resolution} needs more than the mock GPU has`);
+        error.name = 'torch.OutOfMemoryError';
+        throw error;
+    }
+}
+
+// Function to create the mock server. Options: workflowsFolder (node classes), inputFolder (LoadImage files),
+// meshFolder (where SaveGLB writes), nodeDelayMs and stepDelayMs (simulated latency), maxOctreeResolution
+// (decoding above it fails with an out-of-memory error; null never fails).
+function createMockComfyUI({
+    workflowsFolder,
+    inputFolder,
+    meshFolder,
+    nodeDelayMs = DEFAULT_NODE_DELAY_MS,
+    stepDelayMs = DEFAULT_STEP_DELAY_MS,
+    maxOctreeResolution = null
+}) {
+    const app = express();
+    const server = http.createServer(app);
+    const sockets = new WebSocket.Server({ server, path: '/ws' });
+    const nodeClasses = collectNodeClasses(workflowsFolder);
+    const uploads = new Map(); // uploaded image name -> buffer
+    const history = new Map();
+    const pending = []; // { number, id, prompt, extra_data, outputs }
+    let running = null;
+    let promptCounter = 0;
+
+    console.log(`🧪 Mock ComfyUI knows ${Object.keys(nodeClasses).length} node classes from ${workflowsFolder}`);
+
+    app.use(express.json({ limit: '10mb' }));
+
+    const imageExists = name => typeof name === 'string' && name !== '' &&
+        (uploads.has(name) || (Boolean(inputFolder) && fs.existsSync(path.join(inputFolder, path.basename(name)))));
+
+    // Function to send a message to every socket, or only to the client that queued the prompt
+    function send(type, data, clientId = null) {
+        const message = JSON.stringify({ type, data });
+        sockets.clients.forEach(socket => {
+            if (socket.readyState === WebSocket.OPEN && (!clientId || socket.clientId === clientId)) {
+                socket.send(message);
+            }
+        });
+    }
+
+    const queueRemaining = () => pending.length + (running ? 1 : 0);
+    const sendStatus = () => send('status', { status: { exec_info: { queue_remaining: queueRemaining() } } });
+    const queueItem = item => [item.number, item.id, item.prompt, item.extra_data, item.outputs];
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Function to send an execution event and, like ComfyUI, keep it in the prompt's history status.messages
+    function report(item, type, data) {
+        item.messages.push([type, data]);
+        send(type, data, item.extra_data.client_id);
+    }
+
+    function recordHistory(item, status, outputs) {
+        history.set(item.id, {
+            prompt: queueItem(item),
+            outputs,
+            status: { status_str: status, completed: status === 'success', messages: item.messages }
+        });
+        while (history.size > MAX_HISTORY) {
+            history.delete(history.keys().next().value);
+        }
+    }
+
+    function writeMesh(node, prompt) {
+        const sampler = Object.values(prompt).find(other => other.inputs && other.inputs.seed !== undefined);
+        const decoder = Object.values(prompt).find(other => other.inputs && other.inputs.octree_resolution !== undefined);
+        const mesh = buildProceduralMesh(
+            sampler ? sampler.inputs.seed : 1,
+            decoder ? Number(decoder.inputs.octree_resolution) : undefined
+        );
+
+        fs.mkdirSync(meshFolder, { recursive: true });
+        const filename = nextOutputName(meshFolder, node.inputs.filename_prefix || 'ComfyUI');
+        fs.writeFileSync(path.join(meshFolder, filename), buildGLB(mesh));
+        console.log(`🧪 Mock ComfyUI wrote ${filename} (${mesh.indices.length / 3} triangles)`);
+        return { filename, subfolder: '', type: 'output' };
+    }
+
+    // Function to run one prompt node by node, reporting like ComfyUI's executor
+    async function execute(item) {
+        const clientId = item.extra_data.client_id;
+        const outputs = {};
+        running = item;
+        sendStatus();
+        report(item, 'execution_start', { prompt_id: item.id, timestamp: Date.now() });
+        report(item, 'execution_cached', { nodes: [], prompt_id: item.id, timestamp: Date.now() });
+
+        for (const nodeId of executionOrder(item.prompt)) {
+            if (item.interrupted) break;
+
+            const node = item.prompt[nodeId];
+            send('executing', { node: nodeId, display_node: nodeId, prompt_id: item.id }, clientId);
+            await sleep(nodeDelayMs);
+
+            const steps = Number(node.inputs && node.inputs.steps);
+            for (let step = 1; Number.isInteger(steps) && step <= steps && !item.interrupted; step++) {
+                await sleep(stepDelayMs);
+                send('progress', { value: step, max: steps, prompt_id: item.id, node: nodeId }, clientId);
+            }
+            if (item.interrupted) break;
+
+            try {
+                simulateNodeFailure(node, maxOctreeResolution);
+                if (node.class_type === 'SaveGLB') {
+                    outputs[nodeId] = { '3d': [writeMesh(node, item.prompt)] };
+                    send('executed', { node: nodeId, display_node: nodeId, output: outputs[nodeId], prompt_id: item.id }, clientId);
+                }
+            } catch (error) {
+                recordHistory(item, 'error', outputs);
+                report(item, 'execution_error', {
+                    prompt_id: item.id,
+                    node_id: nodeId,
+                    node_type: node.class_type,
+                    executed: Object.keys(outputs),
+                    exception_message: error.message,
+                    exception_type: error.name,
+                    traceback: [`  File "execution.py", line 327, in execute\n`, `${error.name}: ${error.message}\n`],
+                    timestamp: Date.now()
+                });
+                return;
+            }
+        }
+
+        if (item.interrupted) {
+            recordHistory(item, 'error', outputs);
+            report(item, 'execution_interrupted', { prompt_id: item.id, node_id: null, executed: Object.keys(outputs), timestamp: Date.now() });
+            return;
+        }
+
+        recordHistory(item, 'success', outputs);
+        send('executing', { node: null, prompt_id: item.id }, clientId);
+        report(item, 'execution_success', { prompt_id: item.id, timestamp: Date.now() });
+    }
+
+    // Function to run queued prompts one at a time
+    async function pump() {
+        if (running) return;
+
+        while (pending.length > 0) {
+            await execute(pending.shift());
+            running = null;
+            sendStatus();
+        }
+    }
+
+    sockets.on('connection', (socket, req) => {
+        const url = new URL(req.url, 'http://localhost');
+        socket.clientId = url.searchParams.get('clientId') || crypto.randomBytes(16).toString('hex');
+        socket.send(JSON.stringify({
+            type: 'status',
+            data: { status: { exec_info: { queue_remaining: queueRemaining() } }, sid: socket.clientId }
+        }));
+    });
+
+    app.get('/system_stats', (req, res) => {
+        res.json({
+            system: { os: process.platform, comfyui_version: 'mock', python_version: 'none', embedded_python: false },
+            // VRAM use rises while a prompt runs, so status pages have something to show
+            devices: [{
+                name: 'Mock GPU',
+                type: 'mock',
+                index: 0,
+                vram_total: MOCK_VRAM_BYTES,
+                vram_free: running ? MOCK_VRAM_BYTES * 0.35 : MOCK_VRAM_BYTES * 0.9
+            }]
+        });
+    });
+
+    app.get('/prompt', (req, res) => {
+        res.json({ exec_info: { queue_remaining: queueRemaining() } });
+    });
+
+    app.post('/prompt', (req, res) => {
+        const { prompt, client_id: clientId } = req.body || {};
+        const invalid = validatePrompt(prompt, nodeClasses, imageExists);
+        if (invalid) {
+            console.warn(`🧪 Mock ComfyUI rejected a prompt: ${invalid.error.message}`);
+            return res.status(400).json(invalid);
+        }
+
+        const item = {
+            number: promptCounter++,
+            id: crypto.randomBytes(16).toString('hex').replace(/^(.{8})(.{4})(.{4})(.{4})/, '$1-$2-$3-$4-'),
+            prompt,
+            extra_data: { client_id: clientId || null },
+            outputs: Object.keys(prompt).filter(nodeId => isOutputClass(prompt[nodeId].class_type)),
+            messages: []
+        };
+        pending.push(item);
+        sendStatus();
+        pump();
+
+        res.json({ prompt_id: item.id, number: item.number, node_errors: {} });
+    });
+
+    app.get('/queue', (req, res) => {
+        res.json({
+            queue_running: running ? [queueItem(running)] : [],
+            queue_pending: pending.map(queueItem)
+        });
+    });
+
+    app.post('/queue', (req, res) => {
+        const { delete: ids, clear } = req.body || {};
+        if (clear) {
+            pending.length = 0;
+        }
+        (ids || []).forEach(id => {
+            const index = pending.findIndex(item => item.id === id);
+            if (index !== -1) pending.splice(index, 1);
+        });
+        sendStatus();
+        res.status(200).end();
+    });
+
+    app.post('/interrupt', (req, res) => {
+        const { prompt_id: promptId } = req.body || {};
+        if (running && (!promptId || running.id === promptId)) {
+            running.interrupted = true;
+        }
+        res.status(200).end();
+    });
+
+    app.get('/history', (req, res) => {
+        const maxItems = Number(req.query.max_items) || history.size;
+        res.json(Object.fromEntries(Array.from(history.entries()).slice(-maxItems)));
+    });
+
+    app.get('/history/:promptId', (req, res) => {
+        const entry = history.get(req.params.promptId);
+        res.json(entry ? { [req.params.promptId]: entry } : {});
+    });
+
+    app.post('/history', (req, res) => {
+        const { delete: ids, clear } = req.body || {};
+        if (clear) history.clear();
+        (ids || []).forEach(id => history.delete(id));
+        res.status(200).end();
+    });
+
+    // Uploads are kept in memory; they only need to satisfy LoadImage validation
+    app.post('/upload/image', multer({ storage: multer.memoryStorage() }).single('image'), (req, res) => {
+        if (!req.file) {
+            return res.status(400).end();
+        }
+        const name = path.basename(req.file.originalname);
+        uploads.set(name, req.file.buffer);
+        res.json({ name, subfolder: req.body.subfolder || '', type: req.body.type || 'input' });
+    });
+
+    app.get('/view', (req, res) => {
+        const filename = path.basename(String(req.query.filename || ''));
+        const folder = req.query.type === 'input' ? inputFolder : meshFolder;
+
+        if (req.query.type === 'input' && uploads.has(filename)) {
+            return res.send(uploads.get(filename));
+        }
+        const filePath = folder ? path.join(folder, filename) : null;
+        if (!filename || !filePath || !fs.existsSync(filePath)) {
+            return res.status(404).end();
+        }
+        res.sendFile(path.resolve(filePath));
+    });
+
+    return {
+        app,
+        server,
+        listen: (port, callback) => server.listen(port, callback),
+        close: callback => {
+            sockets.clients.forEach(socket => socket.terminate());
+            sockets.close();
+            server.close(callback);
+        }
+    };
+}
+
+module.exports = {
+    collectNodeClasses,
+    validatePrompt,
+    buildProceduralMesh,
+    createMockComfyUI
+};
@@ -0,0 +1,150 @@
+// lib/model-library.js - Names, tags, favorites and notes for the generated meshes
+const fs = require('fs');
+const path = require('path');
+
+// Plain file names only: no separators, no leading dot, no "..", always .glb
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _().-]{0,150}\.glb$/;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,31}$/;
+const MAX_TAGS = 20;
+const MAX_NOTES_LENGTH = 2000;
+
+// Function to check a model file name taken from a URL or request body
+function isValidModelName(name) {
+    return typeof name === 'string'
+        && MODEL_NAME_PATTERN.test(name)
+        && !name.includes('..')
+        && name === path.basename(name);
+}
+
+// Function to normalise a list of tags, collecting errors for bad ones
+function normalizeTags(raw, errors) {
+    if (!Array.isArray(raw)) {
+        errors.push('tags must be an array of strings');
+        return [];
+    }
+
+    const tags = [];
+    raw.forEach(tag => {
+        const value = typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+        if (!TAG_PATTERN.test(value)) {
+            errors.push(`Invalid tag "${tag}" (letters, digits, space, "-" or "_", up to 32 characters)`);
+        } else if (!tags.includes(value)) {
+            tags.push(value);
+        }
+    });
+
+    if (tags.length > MAX_TAGS) {
+        errors.push(`At most ${MAX_TAGS} tags per model`);
+    }
+    return tags;
+}
+
+// Function to check a PATCH body: { name, tags, favorite, notes }, all optional
+function validateModelChanges(raw) {
+    const errors = [];
+    const changes = {};
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { changes, errors: ['Body must be an object'] };
+    }
+
+    for (const key in raw) {
+        const value = raw[key];
+
+        switch (key) {
+            case 'name': {
+                // The extension may be left off when renaming
+                const name = typeof value === 'string' && !value.toLowerCase().endsWith('.glb') ? `${value}.glb` : value;
+                if (!isValidModelName(name)) {
+                    errors.push('name must be a plain file name (letters, digits, space, "_", "-", ".", "(" or ")") ending in .glb');
+                } else {
+                    changes.name = name;
+                }
+                break;
+            }
+            case 'tags':
+                changes.tags = normalizeTags(value, errors);
+                break;
+            case 'favorite':
+                if (typeof value !== 'boolean') {
+                    errors.push('favorite must be true or false');
+                } else {
+                    changes.favorite = value;
+                }
+                break;
+            case 'notes':
+                if (typeof value !== 'string' || value.length > MAX_NOTES_LENGTH) {
+                    errors.push(`notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+                } else {
+                    changes.notes = value;
+                }
+                break;
+            default:
+                errors.push(`Unknown field "${key}"`);
+        }
+    }
+
+    return { changes, errors };
+}
+
+// Function to create the annotation store backed by one JSON file
+function createModelLibrary(file) {
+    let entries = {};
+
+    if (fs.existsSync(file)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Could not read model library ${file}: ${error.message}`);
+        }
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const partial = `${file}.part`;
+        fs.writeFileSync(partial, JSON.stringify(entries, null, 2));
+        fs.renameSync(partial, file);
+    }
+
+    // Annotations for one model (defaults when it has none)
+    function get(name) {
+        return {
+            tags: [],
+            favorite: false,
+            notes: '',
+            capture_id: null,
+            media: [], // snapshot and turntable files in the media folder
+            ...entries[name]
+        };
+    }
+
+    // Function to merge tag/favorite/notes changes; capture_id keeps the capture link across renames
+    function update(name, changes) {
+        entries[name] = { ...get(name), ...changes };
+        save();
+        return get(name);
+    }
+
+    function rename(oldName, newName, captureId) {
+        entries[newName] = { ...get(oldName), capture_id: get(oldName).capture_id || captureId };
+        delete entries[oldName];
+        save();
+        return get(newName);
+    }
+
+    function remove(name) {
+        if (entries[name]) {
+            delete entries[name];
+            save();
+        }
+    }
+
+    return { get, update, rename, remove };
+}
+
+module.exports = {
+    isValidModelName,
+    normalizeTags,
+    validateModelChanges,
+    createModelLibrary
+};
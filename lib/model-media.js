@@ -0,0 +1,91 @@
+// lib/model-media.js - Snapshots (PNG) and turntable videos (WebM) rendered in the viewer and kept with a model
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { detectImageType } = require('./image-types');
+
+// EBML magic that starts every Matroska/WebM file
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+const MEDIA_TYPES = [
+    {
+        kind: 'snapshot',
+        extension: 'png',
+        contentType: 'image/png',
+        matches: buffer => {
+            const imageType = detectImageType(buffer);
+            return Boolean(imageType) && imageType.type === 'png';
+        }
+    },
+    {
+        kind: 'turntable',
+        extension: 'webm',
+        contentType: 'video/webm',
+        // The DocType element ("webm") sits in the EBML header, within the first bytes
+        matches: buffer => buffer.length > 16 &&
+            buffer.subarray(0, 4).equals(EBML_MAGIC) &&
+            buffer.subarray(0, 64).includes('webm')
+    }
+];
+
+const MEDIA_FILENAME_PATTERN = /^[A-Za-z0-9_-]{1,150}_(snapshot|turntable)_[a-z0-9]+_[a-f0-9]{4}\.(png|webm)$/;
+
+// Function to detect a PNG snapshot or WebM turntable; returns { kind, extension, contentType } or null
+function detectMediaType(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+        return null;
+    }
+
+    const match = MEDIA_TYPES.find(candidate => candidate.matches(buffer));
+    return match ? { kind: match.kind, extension: match.extension, contentType: match.contentType } : null;
+}
+
+function isMediaFilename(name) {
+    return typeof name === 'string' && MEDIA_FILENAME_PATTERN.test(name);
+}
+
+// Function to name a model's media file: <model name without .glb>_<kind>_<time>_<random>.<ext>
+function mediaFilenameFor(modelName, mediaType) {
+    const base = modelName.replace(/\.glb$/i, '').replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 150) || 'model';
+    return `${base}_${mediaType.kind}_${Date.now().toString(36)}_${crypto.randomBytes(2).toString('hex')}.${mediaType.extension}`;
+}
+
+function saveModelMedia(folder, filename, buffer) {
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, filename), buffer);
+}
+
+function deleteModelMedia(folder, filename) {
+    const filePath = path.join(folder, filename);
+    if (isMediaFilename(filename) && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+}
+
+// Function to describe one stored media file for the gallery (null when the file is gone).
+// urlPrefix is where the folder is served.
+function describeModelMedia(folder, filename, urlPrefix) {
+    const filePath = path.join(folder, filename);
+    if (!isMediaFilename(filename) || !fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const stats = fs.statSync(filePath);
+    return {
+        file: filename,
+        kind: MEDIA_FILENAME_PATTERN.exec(filename)[1],
+        url: `${urlPrefix}/${encodeURIComponent(filename)}`,
+        size: stats.size,
+        created: stats.mtime
+    };
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    detectMediaType,
+    isMediaFilename,
+    mediaFilenameFor,
+    saveModelMedia,
+    deleteModelMedia,
+    describeModelMedia
+};
@@ -0,0 +1,139 @@
+// lib/params.js - Per-request generation parameters and the workflow nodes they patch
+const crypto = require('crypto');
+
+const MAX_SEED = Number.MAX_SAFE_INTEGER;
+
+// Each parameter names the node class_type and input it overrides
+const PARAM_SCHEMA = {
+    seed: { node: 'KSampler', input: 'seed', type: 'integer', min: 0, max: MAX_SEED, label: 'Seed' },
+    steps: { node: 'KSampler', input: 'steps', type: 'integer', min: 1, max: 150, label: 'Steps' },
+    cfg: { node: 'KSampler', input: 'cfg', type: 'number', min: 0, max: 30, step: 0.5, label: 'CFG' },
+    sampler_name: {
+        node: 'KSampler',
+        input: 'sampler_name',
+        type: 'enum',
+        values: ['euler', 'euler_ancestral', 'heun', 'dpm_2', 'dpm_2_ancestral', 'lms', 'dpmpp_2m', 'dpmpp_sde', 'dpmpp_2m_sde', 'ddim', 'uni_pc'],
+        label: 'Sampler'
+    },
+    scheduler: {
+        node: 'KSampler',
+        input: 'scheduler',
+        type: 'enum',
+        values: ['normal', 'karras', 'exponential', 'sgm_uniform', 'simple', 'ddim_uniform', 'beta'],
+        label: 'Scheduler'
+    },
+    octree_resolution: { node: 'VAEDecodeHunyuan3D', input: 'octree_resolution', type: 'integer', min: 16, max: 1024, label: 'Octree resolution' },
+    num_chunks: { node: 'VAEDecodeHunyuan3D', input: 'num_chunks', type: 'integer', min: 1000, max: 500000, label: 'Decode chunks' },
+    resolution: { node: 'EmptyLatentHunyuan3Dv2', input: 'resolution', type: 'integer', min: 1, max: 8192, label: 'Latent resolution' },
+    algorithm: { node: 'VoxelToMesh', input: 'algorithm', type: 'enum', values: ['surface net', 'basic'], label: 'Mesh algorithm' },
+    threshold: { node: 'VoxelToMesh', input: 'threshold', type: 'number', min: -1, max: 1, step: 0.05, label: 'Mesh threshold' }
+};
+
+// Own keys only: "constructor" or "toString" are not parameters
+function isKnownParam(key) {
+    return Object.prototype.hasOwnProperty.call(PARAM_SCHEMA, key);
+}
+
+// Function to check a raw params object from a request against the schema.
+// randomize_seed: true replaces the seed with a fresh random one.
+function validateParams(raw) {
+    const errors = [];
+    const params = {};
+
+    if (raw === undefined || raw === null) {
+        return { params, errors };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { params, errors: ['params must be an object'] };
+    }
+
+    for (const key in raw) {
+        const value = raw[key];
+
+        if (key === 'randomize_seed') {
+            if (typeof value !== 'boolean') {
+                errors.push('randomize_seed must be true or false');
+            }
+            continue;
+        }
+
+        if (!isKnownParam(key)) {
+            errors.push(`Unknown parameter "${key}"`);
+            continue;
+        }
+
+        const rule = PARAM_SCHEMA[key];
+        if (rule.type === 'enum') {
+            if (!rule.values.includes(value)) {
+                errors.push(`${key} must be one of: ${rule.values.join(', ')}`);
+                continue;
+            }
+        } else {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${key} must be a number`);
+                continue;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`${key} must be an integer`);
+                continue;
+            }
+            if (value < rule.min || value > rule.max) {
+                errors.push(`${key} must be between ${rule.min} and ${rule.max}`);
+                continue;
+            }
+        }
+
+        params[key] = value;
+    }
+
+    if (raw.randomize_seed === true) {
+        params.seed = randomSeed();
+    }
+
+    return { params, errors };
+}
+
+function randomSeed() {
+    return crypto.randomBytes(6).readUIntBE(0, 6);
+}
+
+// Function to write validated params into every node of the matching class (log reports each change)
+function applyParams(workflow, params = {}, { log = console.log } = {}) {
+    for (const key in params) {
+        if (!isKnownParam(key)) continue;
+        const rule = PARAM_SCHEMA[key];
+
+        for (const nodeId in workflow) {
+            const node = workflow[nodeId];
+            if (node.class_type === rule.node && node.inputs && rule.input in node.inputs) {
+                node.inputs[rule.input] = params[key];
+                log(`Updated ${rule.node} node ${nodeId} ${rule.input}: ${params[key]}`);
+            }
+        }
+    }
+    return workflow;
+}
+
+// Function to read the current value of every parameter from a workflow
+function readWorkflowParams(workflow) {
+    const values = {};
+
+    Object.keys(PARAM_SCHEMA).forEach(key => {
+        const rule = PARAM_SCHEMA[key];
+        const node = Object.values(workflow).find(candidate =>
+            candidate.class_type === rule.node && candidate.inputs && rule.input in candidate.inputs);
+
+        if (node) {
+            values[key] = node.inputs[rule.input];
+        }
+    });
+    return values;
+}
+
+module.exports = {
+    PARAM_SCHEMA,
+    validateParams,
+    applyParams,
+    readWorkflowParams,
+    randomSeed
+};
@@ -0,0 +1,340 @@
+// lib/preprocess.js - Crop, square-pad, resize and background removal for captured frames (pure JS, PNG out)
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+const BACKGROUND_MODES = ['none', 'chroma', 'flat'];
+const MAX_INPUT_MEGAPIXELS = 40;
+
+// Image types (as named by detectImageType) that decodeImage can read; WebP is passed to ComfyUI as is
+const PREPROCESS_IMAGE_TYPES = ['jpeg', 'png'];
+
+const DEFAULT_OPTIONS = {
+    crop: null,
+    square: true,
+    size: null,
+    background: 'none',
+    key_color: '#00ff00',
+    tolerance: 20,
+    softness: 10
+};
+
+// Function to check the preprocess options sent with a capture.
+// crop is { x, y, width, height } as fractions of the frame (0-1), so it does not depend on preview size.
+function validatePreprocessOptions(raw) {
+    const errors = [];
+
+    if (raw === undefined || raw === null) {
+        return { options: null, errors };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { options: null, errors: ['preprocess must be an object'] };
+    }
+
+    const options = { ...DEFAULT_OPTIONS };
+    const fraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+    for (const key in raw) {
+        const value = raw[key];
+
+        switch (key) {
+            case 'crop':
+                if (value === null) {
+                    options.crop = null;
+                } else if (!value || !['x', 'y', 'width', 'height'].every(field => fraction(value[field]))) {
+                    errors.push('crop must be { x, y, width, height } with fractions between 0 and 1');
+                } else if (value.width <= 0 || value.height <= 0 || value.x + value.width > 1.0001 || value.y + value.height > 1.0001) {
+                    errors.push('crop must have a positive size and stay inside the frame');
+                } else {
+                    options.crop = { x: value.x, y: value.y, width: value.width, height: value.height };
+                }
+                break;
+            case 'square':
+                if (typeof value !== 'boolean') {
+                    errors.push('square must be true or false');
+                } else {
+                    options.square = value;
+                }
+                break;
+            case 'size':
+                if (value !== null && (!Number.isInteger(value) || value < 64 || value > 2048)) {
+                    errors.push('size must be an integer between 64 and 2048, or null to keep the cropped size');
+                } else {
+                    options.size = value;
+                }
+                break;
+            case 'background':
+                if (!BACKGROUND_MODES.includes(value)) {
+                    errors.push(`background must be one of: ${BACKGROUND_MODES.join(', ')}`);
+                } else {
+                    options.background = value;
+                }
+                break;
+            case 'key_color':
+                if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+                    errors.push('key_color must be a hex colour such as #00ff00');
+                } else {
+                    options.key_color = value.toLowerCase();
+                }
+                break;
+            case 'tolerance':
+            case 'softness':
+                if (typeof value !== 'number' || value < 0 || value > 100) {
+                    errors.push(`${key} must be a number between 0 and 100`);
+                } else {
+                    options[key] = value;
+                }
+                break;
+            default:
+                errors.push(`Unknown preprocess option "${key}"`);
+        }
+    }
+
+    return { options, errors };
+}
+
+// Function to decode a JPEG or PNG into { width, height, data } with 4 bytes (RGBA) per pixel
+function decodeImage(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        const image = jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_INPUT_MEGAPIXELS
+        });
+        return { width: image.width, height: image.height, data: Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength) };
+    }
+
+    if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+        // Check the size the IHDR chunk declares before decoding allocates the pixels
+        if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+            throw new Error('PNG has no IHDR chunk');
+        }
+        if (buffer.readUInt32BE(16) * buffer.readUInt32BE(20) > MAX_INPUT_MEGAPIXELS * 1000000) {
+            throw new Error(`image is larger than ${MAX_INPUT_MEGAPIXELS} megapixels`);
+        }
+
+        const image = PNG.sync.read(buffer);
+        return { width: image.width, height: image.height, data: image.data };
+    }
+
+    throw new Error('only JPEG and PNG images can be preprocessed');
+}
+
+function cropImage(image, crop) {
+    const left = Math.min(image.width - 1, Math.round(crop.x * image.width));
+    const top = Math.min(image.height - 1, Math.round(crop.y * image.height));
+    const width = Math.max(1, Math.min(image.width - left, Math.round(crop.width * image.width)));
+    const height = Math.max(1, Math.min(image.height - top, Math.round(crop.height * image.height)));
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let row = 0; row < height; row++) {
+        const start = ((top + row) * image.width + left) * 4;
+        image.data.copy(data, row * width * 4, start, start + width * 4);
+    }
+    return { width, height, data };
+}
+
+// Function to find the typical colour of the frame's border (per-channel median)
+function borderColor(image) {
+    const channels = [[], [], []];
+    const sample = (x, y) => {
+        const offset = (y * image.width + x) * 4;
+        channels.forEach((values, channel) => values.push(image.data[offset + channel]));
+    };
+
+    for (let x = 0; x < image.width; x++) {
+        sample(x, 0);
+        sample(x, image.height - 1);
+    }
+    for (let y = 1; y < image.height - 1; y++) {
+        sample(0, y);
+        sample(image.width - 1, y);
+    }
+
+    return channels.map(values => {
+        values.sort((a, b) => a - b);
+        return values[Math.floor(values.length / 2)];
+    });
+}
+
+function parseHexColor(hex) {
+    return [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+}
+
+// Function to map a pixel's distance from the key colour to an alpha value
+function keyAlpha(data, offset, key, tolerance, softness) {
+    const distance = Math.sqrt(
+        (data[offset] - key[0]) ** 2 + (data[offset + 1] - key[1]) ** 2 + (data[offset + 2] - key[2]) ** 2
+    ) / (Math.sqrt(3) * 255) * 100;
+
+    if (distance <= tolerance) return 0;
+    if (distance >= tolerance + softness) return 255;
+    return Math.round((distance - tolerance) / softness * 255);
+}
+
+// Chroma key: every pixel close to the key colour becomes transparent
+function removeChromaKey(image, options) {
+    const key = parseHexColor(options.key_color);
+    for (let offset = 0; offset < image.data.length; offset += 4) {
+        image.data[offset + 3] = Math.min(image.data[offset + 3], keyAlpha(image.data, offset, key, options.tolerance, options.softness));
+    }
+}
+
+// Flat background: flood fill from the border through pixels close to the border colour,
+// so object pixels of a similar colour that do not touch the background are kept
+function removeFlatBackground(image, options) {
+    const key = borderColor(image);
+    const { width, height, data } = image;
+    const visited = new Uint8Array(width * height);
+    const stack = new Int32Array(width * height);
+    let size = 0;
+
+    const push = pixel => {
+        if (!visited[pixel]) {
+            visited[pixel] = 1;
+            stack[size++] = pixel;
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        push(x);
+        push((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        push(y * width);
+        push(y * width + width - 1);
+    }
+
+    while (size > 0) {
+        const pixel = stack[--size];
+        const alpha = keyAlpha(data, pixel * 4, key, options.tolerance, options.softness);
+        if (alpha === 255) continue; // reached the object
+
+        data[pixel * 4 + 3] = Math.min(data[pixel * 4 + 3], alpha);
+
+        const x = pixel % width;
+        if (x > 0) push(pixel - 1);
+        if (x < width - 1) push(pixel + 1);
+        if (pixel >= width) push(pixel - width);
+        if (pixel < width * (height - 1)) push(pixel + width);
+    }
+    return key;
+}
+
+// Function to center the image on a square canvas filled with the given RGBA colour
+function padToSquare(image, fill) {
+    const side = Math.max(image.width, image.height);
+    if (image.width === image.height) return image;
+
+    const data = Buffer.alloc(side * side * 4);
+    for (let offset = 0; offset < data.length; offset += 4) {
+        data[offset] = fill[0];
+        data[offset + 1] = fill[1];
+        data[offset + 2] = fill[2];
+        data[offset + 3] = fill[3];
+    }
+
+    const left = Math.floor((side - image.width) / 2);
+    const top = Math.floor((side - image.height) / 2);
+    for (let row = 0; row < image.height; row++) {
+        image.data.copy(data, ((top + row) * side + left) * 4, row * image.width * 4, (row + 1) * image.width * 4);
+    }
+    return { width: side, height: side, data };
+}
+
+// Function to resize so the longest side is `size`, bilinear on premultiplied alpha (no dark fringes)
+function resizeImage(image, size) {
+    const scale = size / Math.max(image.width, image.height);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    if (width === image.width && height === image.height) return image;
+
+    const source = image.data;
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const sy = Math.min(image.height - 1, Math.max(0, (y + 0.5) / scale - 0.5));
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(image.height - 1, y0 + 1);
+        const fy = sy - y0;
+
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(image.width - 1, Math.max(0, (x + 0.5) / scale - 0.5));
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(image.width - 1, x0 + 1);
+            const fx = sx - x0;
+
+            const corners = [
+                [(y0 * image.width + x0) * 4, (1 - fx) * (1 - fy)],
+                [(y0 * image.width + x1) * 4, fx * (1 - fy)],
+                [(y1 * image.width + x0) * 4, (1 - fx) * fy],
+                [(y1 * image.width + x1) * 4, fx * fy]
+            ];
+
+            let alpha = 0;
+            const color = [0, 0, 0];
+            corners.forEach(([offset, weight]) => {
+                const a = source[offset + 3] * weight;
+                alpha += a;
+                color[0] += source[offset] * a;
+                color[1] += source[offset + 1] * a;
+                color[2] += source[offset + 2] * a;
+            });
+
+            const target = (y * width + x) * 4;
+            data[target] = alpha > 0 ? Math.round(color[0] / alpha) : 0;
+            data[target + 1] = alpha > 0 ? Math.round(color[1] / alpha) : 0;
+            data[target + 2] = alpha > 0 ? Math.round(color[2] / alpha) : 0;
+            data[target + 3] = Math.round(alpha);
+        }
+    }
+    return { width, height, data };
+}
+
+// Function to run the whole pipeline on one JPEG/PNG frame.
+// Returns { png, width, height, transparent_fraction }; the PNG carries alpha when a background was removed.
+function preprocessImage(buffer, options) {
+    let image = decodeImage(buffer);
+
+    if (options.crop) {
+        image = cropImage(image, options.crop);
+    }
+
+    let fill = [...borderColor(image), 255];
+    if (options.background === 'chroma') {
+        removeChromaKey(image, options);
+        fill = [0, 0, 0, 0];
+    } else if (options.background === 'flat') {
+        removeFlatBackground(image, options);
+        fill = [0, 0, 0, 0];
+    }
+
+    if (options.square) {
+        image = padToSquare(image, fill);
+    }
+    if (options.size) {
+        image = resizeImage(image, options.size);
+    }
+
+    let transparent = 0;
+    for (let offset = 3; offset < image.data.length; offset += 4) {
+        if (image.data[offset] === 0) transparent++;
+    }
+
+    const png = new PNG({ width: image.width, height: image.height });
+    image.data.copy(png.data);
+
+    return {
+        png: PNG.sync.write(png),
+        width: image.width,
+        height: image.height,
+        transparent_fraction: transparent / (image.width * image.height)
+    };
+}
+
+module.exports = {
+    BACKGROUND_MODES,
+    PREPROCESS_IMAGE_TYPES,
+    validatePreprocessOptions,
+    decodeImage,
+    preprocessImage
+};
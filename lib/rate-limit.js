@@ -0,0 +1,48 @@
+// lib/rate-limit.js - Per-client sliding-window request limit for the generation routes
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+// Function to create Express middleware allowing `limit` requests per client per window (0 disables it)
+function createRateLimiter({ limit, windowMs = DEFAULT_WINDOW_MS, name = 'requests' } = {}) {
+    const hits = new Map(); // client key -> timestamps of recent requests
+
+    // Forget clients that have gone quiet so the map does not grow forever
+    const sweeper = setInterval(() => {
+        const cutoff = Date.now() - windowMs;
+        for (const [key, times] of hits) {
+            if (times[times.length - 1] <= cutoff) {
+                hits.delete(key);
+            }
+        }
+    }, windowMs);
+    sweeper.unref();
+
+    return function rateLimit(req, res, next) {
+        if (!limit) {
+            return next();
+        }
+
+        const key = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+        const now = Date.now();
+        const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+
+        if (times.length >= limit) {
+            const retryAfter = Math.ceil((times[0] + windowMs - now) / 1000);
+            hits.set(key, times);
+            console.warn(`🚦 Rate limit hit for ${key} on ${req.path} (${limit} ${name} per ${windowMs / 1000}s)`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: `Too many ${name}: at most ${limit} per ${windowMs / 1000} seconds. Try again in ${retryAfter}s.`,
+                retry_after_seconds: retryAfter
+            });
+        }
+
+        times.push(now);
+        hits.set(key, times);
+        next();
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,129 @@
+// lib/sessions.js - Auto-capture sessions: a batch of captures generated with the same settings and reviewed together
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SESSION_MODES = ['interval', 'motion'];
+const SESSION_ID_PATTERN = /^session_[a-z0-9]+_[a-f0-9]{6}$/;
+const MAX_SESSION_NAME_LENGTH = 100;
+const MAX_SESSION_CAPTURES = 200;
+
+function isSessionId(value) {
+    return typeof value === 'string' && SESSION_ID_PATTERN.test(value);
+}
+
+// Function to check the name/mode/interval of a new session (generation settings are checked by the caller)
+function validateSessionDetails(raw = {}) {
+    const errors = [];
+    const details = {
+        name: null,
+        mode: 'interval',
+        interval_seconds: null
+    };
+
+    if (raw.name !== undefined && raw.name !== null) {
+        if (typeof raw.name !== 'string' || raw.name.trim().length > MAX_SESSION_NAME_LENGTH) {
+            errors.push(`name must be a string of at most ${MAX_SESSION_NAME_LENGTH} characters`);
+        } else {
+            details.name = raw.name.trim() || null;
+        }
+    }
+
+    if (raw.mode !== undefined) {
+        if (!SESSION_MODES.includes(raw.mode)) {
+            errors.push(`mode must be one of: ${SESSION_MODES.join(', ')}`);
+        } else {
+            details.mode = raw.mode;
+        }
+    }
+
+    if (raw.interval_seconds !== undefined && raw.interval_seconds !== null) {
+        if (typeof raw.interval_seconds !== 'number' || raw.interval_seconds < 1 || raw.interval_seconds > 3600) {
+            errors.push('interval_seconds must be a number between 1 and 3600');
+        } else {
+            details.interval_seconds = raw.interval_seconds;
+        }
+    }
+
+    return { details, errors };
+}
+
+// Function to create the session store, persisted to one JSON file
+function createSessionStore(file) {
+    let sessions = {};
+
+    if (fs.existsSync(file)) {
+        try {
+            sessions = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Could not read sessions ${file}: ${error.message}`);
+        }
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const partial = `${file}.part`;
+        fs.writeFileSync(partial, JSON.stringify(sessions, null, 2));
+        fs.renameSync(partial, file);
+    }
+
+    // Function to open a session; settings holds the workflow, params and preprocess every capture uses
+    function create(details, settings) {
+        const now = new Date();
+        const session = {
+            id: `session_${now.getTime().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+            name: details.name || `Session ${now.toLocaleString()}`,
+            mode: details.mode,
+            interval_seconds: details.interval_seconds,
+            workflow: settings.workflow,
+            params: settings.params,
+            preprocess: settings.preprocess,
+            created_at: now.toISOString(),
+            closed_at: null,
+            captures: []
+        };
+
+        sessions[session.id] = session;
+        save();
+        return session;
+    }
+
+    function get(id) {
+        return isSessionId(id) ? sessions[id] || null : null;
+    }
+
+    // Function to list sessions, newest first
+    function list() {
+        return Object.values(sessions).sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    function addCapture(id, captureId) {
+        const session = get(id);
+        if (!session) return null;
+
+        session.captures.push(captureId);
+        save();
+        return session;
+    }
+
+    function close(id) {
+        const session = get(id);
+        if (!session) return null;
+
+        if (!session.closed_at) {
+            session.closed_at = new Date().toISOString();
+            save();
+        }
+        return session;
+    }
+
+    return { create, get, list, addCapture, close };
+}
+
+module.exports = {
+    SESSION_MODES,
+    MAX_SESSION_CAPTURES,
+    isSessionId,
+    validateSessionDetails,
+    createSessionStore
+};
@@ -0,0 +1,124 @@
+// lib/shares.js - Share links: tokens that open one model's viewer page, optionally until an expiry time
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SHARE_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+const MAX_EXPIRY_HOURS = 24 * 365;
+// Expired tokens are kept this long so their links can say "expired" rather than "unknown"
+const EXPIRED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isShareToken(value) {
+    return typeof value === 'string' && SHARE_TOKEN_PATTERN.test(value);
+}
+
+function isExpired(share, now = Date.now()) {
+    return Boolean(share.expires_at) && Date.parse(share.expires_at) <= now;
+}
+
+// Function to check the options of a new share link; no expires_in_hours means it never expires
+function validateShareOptions(raw = {}) {
+    const errors = [];
+    const options = { expires_in_hours: null };
+
+    if (raw.expires_in_hours !== undefined && raw.expires_in_hours !== null) {
+        const hours = raw.expires_in_hours;
+        if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+            errors.push(`expires_in_hours must be a number greater than 0 and at most ${MAX_EXPIRY_HOURS}`);
+        } else {
+            options.expires_in_hours = hours;
+        }
+    }
+
+    return { options, errors };
+}
+
+// Function to create the share store, persisted to one JSON file keyed by token
+function createShareStore(file) {
+    let shares = {};
+
+    if (fs.existsSync(file)) {
+        try {
+            shares = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Could not read share links ${file}: ${error.message}`);
+        }
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const partial = `${file}.part`;
+        fs.writeFileSync(partial, JSON.stringify(shares, null, 2));
+        fs.renameSync(partial, file);
+    }
+
+    function pruneExpired() {
+        const cutoff = Date.now() - EXPIRED_RETENTION_MS;
+        Object.values(shares).forEach(share => {
+            if (share.expires_at && Date.parse(share.expires_at) < cutoff) {
+                delete shares[share.token];
+            }
+        });
+    }
+
+    function create(model, options) {
+        const now = new Date();
+        const share = {
+            token: crypto.randomBytes(16).toString('hex'),
+            model,
+            created_at: now.toISOString(),
+            expires_at: options.expires_in_hours
+                ? new Date(now.getTime() + options.expires_in_hours * 60 * 60 * 1000).toISOString()
+                : null
+        };
+
+        pruneExpired();
+        shares[share.token] = share;
+        save();
+        return share;
+    }
+
+    function get(token) {
+        return isShareToken(token) ? shares[token] || null : null;
+    }
+
+    // Function to list a model's share links, newest first
+    function listForModel(model) {
+        return Object.values(shares)
+            .filter(share => share.model === model)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    function revoke(token) {
+        const share = get(token);
+        if (!share) return null;
+
+        delete shares[token];
+        save();
+        return share;
+    }
+
+    // Links follow a model when it is renamed and die with it when it is deleted
+    function renameModel(oldName, newName) {
+        const moved = listForModel(oldName);
+        moved.forEach(share => {
+            share.model = newName;
+        });
+        if (moved.length > 0) save();
+    }
+
+    function removeModel(model) {
+        const removed = listForModel(model);
+        removed.forEach(share => delete shares[share.token]);
+        if (removed.length > 0) save();
+    }
+
+    return { create, get, listForModel, revoke, renameModel, removeModel };
+}
+
+module.exports = {
+    isShareToken,
+    isExpired,
+    validateShareOptions,
+    createShareStore
+};
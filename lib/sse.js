@@ -0,0 +1,46 @@
+// lib/sse.js - Server-Sent Events broadcaster for browser clients
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+
+// Function to register an Express response as an SSE stream
+function addClient(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    clients.add(res);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    });
+}
+
+// Function to send a named event with a JSON payload to one browser
+function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Function to send a named event to every connected browser
+function broadcast(event, data) {
+    clients.forEach(res => send(res, event, data));
+}
+
+function clientCount() {
+    return clients.size;
+}
+
+module.exports = {
+    addClient,
+    send,
+    broadcast,
+    clientCount
+};
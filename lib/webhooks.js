@@ -0,0 +1,290 @@
+// lib/webhooks.js - Outbound webhooks: subscriptions, signed JSON deliveries with retries, and a delivery log
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const WEBHOOK_EVENTS = ['capture-saved', 'job-started', 'job-succeeded', 'job-failed'];
+// Sent only on request, to check a receiver (POST /webhooks/<id>/ping)
+const PING_EVENT = 'ping';
+
+const WEBHOOK_ID_PATTERN = /^wh_[a-f0-9]{12}$/;
+const MIN_SECRET_LENGTH = 16;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Keep the delivery log bounded; oldest finished deliveries are dropped first
+const MAX_DELIVERIES = 500;
+
+function isWebhookId(value) {
+    return typeof value === 'string' && WEBHOOK_ID_PATTERN.test(value);
+}
+
+// Function to check the options of a new subscription; events defaults to all of them
+function validateWebhookOptions(raw = {}) {
+    const errors = [];
+    const options = { url: null, events: WEBHOOK_EVENTS.slice(), secret: null, description: '' };
+
+    let url = null;
+    try {
+        url = new URL(String(raw.url));
+    } catch (error) {
+        errors.push('url must be an http or https URL');
+    }
+    if (url) {
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            errors.push('url must be an http or https URL');
+        } else {
+            options.url = url.toString();
+        }
+    }
+
+    if (raw.events !== undefined) {
+        if (!Array.isArray(raw.events) || raw.events.length === 0) {
+            errors.push(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+        } else {
+            const unknown = raw.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+            if (unknown.length > 0) {
+                errors.push(`Unknown event(s): ${unknown.join(', ')} (known: ${WEBHOOK_EVENTS.join(', ')})`);
+            } else {
+                options.events = WEBHOOK_EVENTS.filter(event => raw.events.includes(event));
+            }
+        }
+    }
+
+    if (raw.secret !== undefined) {
+        if (typeof raw.secret !== 'string' || raw.secret.length < MIN_SECRET_LENGTH) {
+            errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+        } else {
+            options.secret = raw.secret;
+        }
+    }
+
+    if (raw.description !== undefined) {
+        if (typeof raw.description !== 'string' || raw.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        } else {
+            options.description = raw.description.trim();
+        }
+    }
+
+    return { options, errors };
+}
+
+// Function to sign a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the subscription's secret.
+// Binding the timestamp lets receivers reject replayed deliveries.
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// The secret is returned once, when the subscription is created
+function describeWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+// Function to create the subscription store, persisted to one JSON file keyed by id
+function createWebhookStore(file) {
+    let webhooks = {};
+
+    if (fs.existsSync(file)) {
+        try {
+            webhooks = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Could not read webhooks ${file}: ${error.message}`);
+        }
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const partial = `${file}.part`;
+        fs.writeFileSync(partial, JSON.stringify(webhooks, null, 2));
+        fs.renameSync(partial, file);
+    }
+
+    function create(options) {
+        const webhook = {
+            id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+            url: options.url,
+            events: options.events,
+            description: options.description,
+            secret: options.secret || crypto.randomBytes(24).toString('hex'),
+            created_at: new Date().toISOString()
+        };
+
+        webhooks[webhook.id] = webhook;
+        save();
+        return webhook;
+    }
+
+    function get(id) {
+        return isWebhookId(id) ? webhooks[id] || null : null;
+    }
+
+    function list() {
+        return Object.values(webhooks).sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+
+    function remove(id) {
+        const webhook = get(id);
+        if (!webhook) return null;
+
+        delete webhooks[id];
+        save();
+        return webhook;
+    }
+
+    return { create, get, list, remove };
+}
+
+// Function to create the dispatcher that POSTs events to matching subscriptions. A failed attempt (network error,
+// timeout, 408, 429 or 5xx) is tried again after retrySeconds, doubling each time, up to maxAttempts in all.
+// Other responses are final. The log lives in memory, so pending retries do not survive a restart.
+function createWebhookDispatcher({ store, maxAttempts, retrySeconds, timeoutMs = 10000 }) {
+    const deliveries = new Map();
+    const timers = new Map();
+
+    function pruneDeliveries() {
+        if (deliveries.size <= MAX_DELIVERIES) return;
+
+        for (const [id, delivery] of deliveries) {
+            if (deliveries.size <= MAX_DELIVERIES) break;
+            if (['delivered', 'failed'].includes(delivery.state)) {
+                deliveries.delete(id);
+            }
+        }
+    }
+
+    function finish(delivery, state, error = null) {
+        delivery.state = state;
+        delivery.error = error;
+        delivery.next_attempt_at = null;
+        delivery.finished_at = new Date().toISOString();
+        timers.delete(delivery.id);
+    }
+
+    async function attempt(delivery) {
+        const webhook = store.get(delivery.webhook_id);
+        if (!webhook) {
+            finish(delivery, 'failed', 'Webhook was deleted');
+            return;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const record = { at: new Date(startedAt).toISOString(), status_code: null, error: null, duration_ms: null };
+        delivery.attempts.push(record);
+        delivery.state = 'sending';
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'webcam-comfyui-app',
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                timeout: timeoutMs
+            });
+            record.status_code = response.status;
+            if (!response.ok) {
+                record.error = `Receiver answered ${response.status} ${response.statusText}`;
+            }
+        } catch (error) {
+            record.error = error.message;
+        }
+        record.duration_ms = Date.now() - startedAt;
+
+        if (!record.error) {
+            finish(delivery, 'delivered');
+            console.log(`📨 Webhook ${delivery.event} delivered to ${webhook.url} (${delivery.id})`);
+            return;
+        }
+
+        const retryable = record.status_code === null || [408, 429].includes(record.status_code) || record.status_code >= 500;
+        if (!retryable || delivery.attempts.length >= maxAttempts) {
+            finish(delivery, 'failed', record.error);
+            console.warn(`⚠️  Webhook ${delivery.event} to ${webhook.url} failed after ${delivery.attempts.length} attempt(s): ${record.error}`);
+            return;
+        }
+
+        const delayMs = retrySeconds * 1000 * 2 ** (delivery.attempts.length - 1);
+        delivery.state = 'retrying';
+        delivery.error = record.error;
+        delivery.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+        console.warn(`⚠️  Webhook ${delivery.event} to ${webhook.url}: ${record.error}; retrying in ${delayMs / 1000}s`);
+
+        const timer = setTimeout(() => attempt(delivery), delayMs);
+        timer.unref();
+        timers.set(delivery.id, timer);
+    }
+
+    // Function to queue one delivery per subscription to event (or only to webhookId). Returns the deliveries.
+    function deliver(event, data, { webhookId = null } = {}) {
+        const targets = webhookId
+            ? [store.get(webhookId)].filter(Boolean)
+            : store.list().filter(webhook => webhook.events.includes(event));
+        const createdAt = new Date().toISOString();
+
+        return targets.map(webhook => {
+            const delivery = {
+                id: `dlv_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+                webhook_id: webhook.id,
+                event,
+                url: webhook.url,
+                state: 'pending',
+                error: null,
+                attempts: [],
+                next_attempt_at: null,
+                created_at: createdAt,
+                finished_at: null,
+                payload: { event, created_at: createdAt, data }
+            };
+
+            deliveries.set(delivery.id, delivery);
+            pruneDeliveries();
+            attempt(delivery);
+            return delivery;
+        });
+    }
+
+    // Function to list deliveries, newest first, optionally for one subscription or in one state
+    function listDeliveries({ webhookId = null, state = null } = {}) {
+        return Array.from(deliveries.values())
+            .reverse()
+            .filter(delivery => (!webhookId || delivery.webhook_id === webhookId) && (!state || delivery.state === state));
+    }
+
+    function getDelivery(id) {
+        return deliveries.get(id) || null;
+    }
+
+    // Function to stop waiting retries, e.g. when a subscription is deleted
+    function cancelRetries(webhookId) {
+        deliveries.forEach(delivery => {
+            if (delivery.webhook_id === webhookId && timers.has(delivery.id)) {
+                clearTimeout(timers.get(delivery.id));
+                finish(delivery, 'failed', 'Webhook was deleted');
+            }
+        });
+    }
+
+    return { deliver, listDeliveries, getDelivery, cancelRetries };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    isWebhookId,
+    validateWebhookOptions,
+    signPayload,
+    describeWebhook,
+    createWebhookStore,
+    createWebhookDispatcher
+};
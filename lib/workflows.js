@@ -0,0 +1,175 @@
+// lib/workflows.js - Hot-reloaded library of workflow presets from the workflows folder
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { readWorkflowParams } = require('./params');
+
+const PRESET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const RELOAD_DEBOUNCE_MS = 300;
+
+// Node classes used to guess the wiring of a bare ComfyUI export with no preset metadata
+const IMAGE_NODE_CLASSES = ['LoadImage', 'LoadImageMask', 'ImageInput'];
+const OUTPUT_NODE_CLASSES = ['SaveGLB'];
+
+// Views a multi-view preset may map to its LoadImage nodes, in capture order
+const VIEW_NAMES = ['front', 'left', 'back', 'right'];
+
+// Function to find node ids of the given classes that carry a given input
+function findNodes(workflow, classes, input) {
+    return Object.keys(workflow).filter(nodeId => {
+        const node = workflow[nodeId];
+        return classes.includes(node.class_type) && node.inputs && input in node.inputs;
+    });
+}
+
+// Function to turn one parsed file into a preset, throwing on invalid wiring.
+// A preset file is either { name, description, image_nodes, output_nodes, workflow }
+// or a bare API-format graph, in which case the wiring is guessed from class_type.
+// Multi-view presets use view_nodes ({ front: id, left: id, ... }) instead of image_nodes.
+function buildPreset(id, file, data) {
+    const wrapped = data && typeof data.workflow === 'object';
+    const workflow = wrapped ? data.workflow : data;
+
+    if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow) || Object.keys(workflow).length === 0) {
+        throw new Error('no workflow graph found');
+    }
+    for (const nodeId in workflow) {
+        const node = workflow[nodeId];
+        if (!node || typeof node.class_type !== 'string' || typeof node.inputs !== 'object') {
+            throw new Error(`node ${nodeId} is missing class_type or inputs (export with "Save (API Format)")`);
+        }
+    }
+
+    let viewNodes = null;
+    if (wrapped && data.view_nodes) {
+        viewNodes = {};
+        Object.keys(data.view_nodes).forEach(view => {
+            if (!VIEW_NAMES.includes(view)) {
+                throw new Error(`unknown view "${view}" in view_nodes (use ${VIEW_NAMES.join(', ')})`);
+            }
+        });
+        // Keep views in capture order whatever order the file lists them
+        VIEW_NAMES.filter(view => view in data.view_nodes).forEach(view => {
+            viewNodes[view] = String(data.view_nodes[view]);
+        });
+    }
+
+    const imageNodes = viewNodes
+        ? Object.values(viewNodes)
+        : wrapped && data.image_nodes ? data.image_nodes.map(String) : findNodes(workflow, IMAGE_NODE_CLASSES, 'image');
+    const outputNodes = wrapped && data.output_nodes ? data.output_nodes.map(String) : findNodes(workflow, OUTPUT_NODE_CLASSES, 'filename_prefix');
+
+    if (imageNodes.length === 0) {
+        throw new Error('no image input node declared (image_nodes)');
+    }
+    imageNodes.forEach(nodeId => {
+        if (!workflow[nodeId] || !('image' in workflow[nodeId].inputs)) {
+            throw new Error(`image node ${nodeId} does not exist or has no "image" input`);
+        }
+    });
+    outputNodes.forEach(nodeId => {
+        if (!workflow[nodeId] || !('filename_prefix' in workflow[nodeId].inputs)) {
+            throw new Error(`output node ${nodeId} does not exist or has no "filename_prefix" input`);
+        }
+    });
+
+    return {
+        id,
+        name: (wrapped && data.name) || id,
+        description: (wrapped && data.description) || '',
+        image_nodes: imageNodes,
+        view_nodes: viewNodes,
+        output_nodes: outputNodes,
+        heuristic_wiring: !wrapped || !(data.image_nodes || data.view_nodes) || !data.output_nodes,
+        workflow,
+        file,
+        modified: fs.statSync(file).mtime
+    };
+}
+
+// Function to create a preset library over a folder of JSON files
+function createWorkflowLibrary(folder, { defaultId, log = console.log } = {}) {
+    const library = new EventEmitter();
+    let presets = new Map();
+    let errors = [];
+    let watcher = null;
+
+    function reload() {
+        const nextPresets = new Map();
+        const nextErrors = [];
+
+        if (fs.existsSync(folder)) {
+            fs.readdirSync(folder)
+                .filter(file => file.toLowerCase().endsWith('.json'))
+                .sort()
+                .forEach(file => {
+                    const id = path.basename(file, path.extname(file));
+                    const fullPath = path.join(folder, file);
+
+                    if (!PRESET_ID_PATTERN.test(id)) {
+                        nextErrors.push({ file, error: 'file name must use letters, digits, "-" or "_"' });
+                        return;
+                    }
+
+                    try {
+                        const data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+                        nextPresets.set(id, buildPreset(id, fullPath, data));
+                    } catch (error) {
+                        nextErrors.push({ file, error: error.message });
+                    }
+                });
+        }
+
+        presets = nextPresets;
+        errors = nextErrors;
+
+        log(`📚 Loaded ${presets.size} workflow preset(s) from ${folder}`);
+        errors.forEach(entry => console.error(`❌ Workflow preset ${entry.file}: ${entry.error}`));
+        library.emit('reload', library.list());
+    }
+
+    // Function to reload whenever a preset file is added, edited or removed
+    function watch() {
+        if (watcher || !fs.existsSync(folder)) return;
+
+        let timer = null;
+        watcher = fs.watch(folder, () => {
+            clearTimeout(timer);
+            timer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+        });
+        watcher.on('error', error => {
+            console.error('❌ Workflow folder watcher failed:', error.message);
+            watcher = null;
+        });
+    }
+
+    library.reload = reload;
+    library.watch = watch;
+    library.get = id => presets.get(id) || null;
+    library.getDefault = () => presets.get(defaultId) || presets.values().next().value || null;
+    library.errors = () => errors;
+
+    // Summary for /workflows (without the full graph)
+    library.describe = preset => ({
+        id: preset.id,
+        name: preset.name,
+        description: preset.description,
+        image_nodes: preset.image_nodes,
+        views: preset.view_nodes ? Object.keys(preset.view_nodes) : null,
+        output_nodes: preset.output_nodes,
+        heuristic_wiring: preset.heuristic_wiring,
+        node_count: Object.keys(preset.workflow).length,
+        defaults: readWorkflowParams(preset.workflow),
+        is_default: library.getDefault() === preset,
+        modified: preset.modified
+    });
+    library.list = () => Array.from(presets.values()).map(library.describe);
+
+    reload();
+    return library;
+}
+
+module.exports = {
+    VIEW_NAMES,
+    createWorkflowLibrary
+};
@@ -0,0 +1,32 @@
+// mock-comfyui.js - Runs the bundled stand-in ComfyUI (lib/mock-comfyui.js) with the app's own configuration,
+// so `npm run mock-comfyui` plus `npm start` exercise capture -> generate -> view on a machine without ComfyUI
+const { loadConfig } = require('./lib/config');
+const { createMockComfyUI } = require('./lib/mock-comfyui');
+
+const config = loadConfig();
+if (config.errors.length > 0) {
+    console.error('❌ Invalid configuration:');
+    config.errors.forEach(error => console.error(`   • ${error}`));
+    process.exit(1);
+}
+
+// Listen where the app expects ComfyUI unless MOCK_COMFYUI_PORT says otherwise
+const apiUrl = new URL(config.values.comfyuiApiUrl);
+const PORT = Number(process.env.MOCK_COMFYUI_PORT) || Number(apiUrl.port) || 8188;
+
+const mock = createMockComfyUI({
+    workflowsFolder: config.values.workflowsFolder,
+    inputFolder: config.values.comfyuiInputFolder,
+    meshFolder: config.values.modelMeshFolder,
+    nodeDelayMs: process.env.MOCK_COMFYUI_NODE_DELAY_MS !== undefined ? Number(process.env.MOCK_COMFYUI_NODE_DELAY_MS) : undefined,
+    stepDelayMs: process.env.MOCK_COMFYUI_STEP_DELAY_MS !== undefined ? Number(process.env.MOCK_COMFYUI_STEP_DELAY_MS) : undefined,
+    maxOctreeResolution: Number(process.env.MOCK_COMFYUI_MAX_OCTREE) || null
+});
+
+mock.listen(PORT, () => {
+    console.log(`🧪 Mock ComfyUI listening on http://127.0.0.1:${PORT}`);
+    console.log(`   📁 LoadImage reads from: ${config.values.comfyuiInputFolder}`);
+    console.log(`   🎨 SaveGLB writes to: ${config.values.modelMeshFolder}`);
+});
+
+process.on('SIGINT', () => mock.close(() => process.exit(0)));
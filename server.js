@@ -1,46 +1,172 @@
-﻿// server.js - Node.js Express Server with Fixed Model Loading
+// server.js - Node.js Express Server with Fixed Model Loading
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const fetch = require('node-fetch');
+const {
+    jobEvents,
+    createJob,
+    updateJobState,
+    updateJobProgress,
+    isTerminal,
+    getJob,
+    findJobByPromptId,
+    listJobs,
+    serializeJob
+} = require('./lib/jobs');
+const { createBackendPool } = require('./lib/comfyui-pool');
+const sse = require('./lib/sse');
+const {
+    INPUT_PREFIX,
+    OUTPUT_PREFIX,
+    generateCaptureId,
+    inputFilenameFor,
+    outputPrefixFor,
+    captureIdFromOutput
+} = require('./lib/captures');
+const { loadConfig, describeConfig } = require('./lib/config');
+const { PARAM_SCHEMA, validateParams, readWorkflowParams } = require('./lib/params');
+const { VIEW_NAMES, createWorkflowLibrary } = require('./lib/workflows');
+const { uploadInputImage, downloadOutputFile } = require('./lib/comfyui-files');
+const { readGLBMesh } = require('./lib/glb');
+const { validateExportOptions, exportMesh } = require('./lib/mesh-export');
+const {
+    saveSourceFrame,
+    readSourceFrame,
+    sourceFrameExists,
+    buildCaptureMetadata,
+    writeCaptureMetadata,
+    readCaptureMetadata
+} = require('./lib/capture-store');
+const { isValidModelName, normalizeTags, validateModelChanges, createModelLibrary } = require('./lib/model-library');
+const { createDispatchQueue } = require('./lib/dispatch-queue');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { PREPROCESS_IMAGE_TYPES, validatePreprocessOptions, preprocessImage } = require('./lib/preprocess');
+const { detectImageType } = require('./lib/image-types');
+const { analyzeGLBFile } = require('./lib/mesh-stats');
+const { MAX_SESSION_CAPTURES, validateSessionDetails, createSessionStore } = require('./lib/sessions');
+const { isExpired, validateShareOptions, createShareStore } = require('./lib/shares');
+const { generationFailure, executionErrorFromMessage, describeExecutionError, planRetry } = require('./lib/generation-errors');
+const { queueComfyUIPrompt, findGLBInHistoryOutputs, fetchPromptStatus, postToComfyUI } = require('./lib/comfyui-prompts');
+const {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    validateWebhookOptions,
+    describeWebhook,
+    createWebhookStore,
+    createWebhookDispatcher
+} = require('./lib/webhooks');
+const {
+    detectMediaType,
+    mediaFilenameFor,
+    saveModelMedia,
+    deleteModelMedia,
+    describeModelMedia
+} = require('./lib/model-media');
 
 const app = express();
-const PORT = 3000;
 
-// CONFIGURE YOUR COMFYUI SETTINGS HERE
-const COMFYUI_INPUT_FOLDER = 'D:/ComfyUI_windows_portable_nvidia/ComfyUI_windows_portable/ComfyUI/input';
-// UPDATED: Use your specific model directory
-const COMFYUI_OUTPUT_FOLDER = 'D:/ComfyUI_windows_portable_nvidia/webcam-comfyui-3D-app-main/public/models';
-const MODEL_MESH_FOLDER = 'D:/ComfyUI_windows_portable_nvidia/webcam-comfyui-3D-app-main/public/models/mesh';
+// Settings come from config.json and environment variables (see lib/config.js)
+const config = loadConfig();
+config.warnings.forEach(warning => console.log(`⚠️  Config: ${warning}`));
+if (config.errors.length > 0) {
+    console.error('❌ Invalid configuration:');
+    config.errors.forEach(error => console.error(`   • ${error}`));
+    console.error(`🔧 Fix config.json${config.file ? ` (${config.file})` : ''} or the matching environment variables`);
+    process.exit(1);
+}
+if (config.file) {
+    console.log('⚙️  Configuration loaded from:', config.file);
+}
+
+const PORT = config.values.port;
+const COMFYUI_INPUT_FOLDER = config.values.comfyuiInputFolder;
+const COMFYUI_OUTPUT_FOLDER = config.values.comfyuiOutputFolder;
+const MODEL_MESH_FOLDER = config.values.modelMeshFolder;
+const COMFYUI_API_URL = config.values.comfyuiApiUrl;
+const COMFYUI_TRANSPORT = config.values.transport; // 'filesystem' or 'http'
+// Every ComfyUI server generations can go to: comfyuiBackends, or comfyuiApiUrl alone
+const COMFYUI_BACKENDS = config.values.comfyuiBackends.length > 0 ? config.values.comfyuiBackends : [COMFYUI_API_URL];
+const BACKEND_HEALTH_SECONDS = config.values.backendHealthSeconds;
+const CAPTURES_FOLDER = config.values.capturesFolder;
+const WORKFLOWS_FOLDER = config.values.workflowsFolder;
+const DEFAULT_WORKFLOW = config.values.defaultWorkflow;
+const PROMPT_DELAY_SECONDS = config.values.promptDelaySeconds;
+const MAX_IN_FLIGHT = config.values.maxInFlight;
+const RATE_LIMIT_PER_MINUTE = config.values.rateLimitPerMinute;
+const MAX_UPLOAD_MB = config.values.maxUploadMb;
+const MAX_MEDIA_MB = config.values.maxMediaMb;
+const REQUIRE_SHARE_TOKEN = config.values.requireShareToken;
+const RETRY_POLICY = { maxRetries: config.values.maxRetries, strategy: config.values.retryStrategy };
+// Base of the absolute links in webhook payloads
+const PUBLIC_URL = config.values.publicUrl || `http://localhost:${PORT}`;
+const WEBHOOK_MAX_ATTEMPTS = config.values.webhookMaxAttempts;
+const WEBHOOK_RETRY_SECONDS = config.values.webhookRetrySeconds;
+// Snapshots and turntable videos recorded in the viewer, served under /captures/media
+const MEDIA_FOLDER = path.join(CAPTURES_FOLDER, 'media');
+const MEDIA_URL = '/captures/media';
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_TIMEOUT_MINUTES = 30;
 
-const COMFYUI_API_URL = 'http://127.0.0.1:8188';
-const COMFYUI_WORKFLOW_FILE = './workflow.json';
-const PROMPT_DELAY_SECONDS = 5;
+// One client id per server run: ComfyUI routes /ws progress by the prompt's client_id
+const COMFYUI_CLIENT_ID = `webcam_app_${Date.now()}`;
 
-// FIXED FILENAMES
-const INPUT_FILENAME = 'webcam_input.jpg';
-const OUTPUT_PREFIX = 'webcam_3d_mesh';
+// Each capture gets its own input file and SaveGLB prefix (see lib/captures.js)
 const MESH_FOLDER = 'mesh'; // Relative folder name
 
-// Load ComfyUI workflow template
-let workflowTemplate = {};
-try {
-    if (fs.existsSync(COMFYUI_WORKFLOW_FILE)) {
-        workflowTemplate = JSON.parse(fs.readFileSync(COMFYUI_WORKFLOW_FILE, 'utf8'));
-        console.log('✅ Workflow template loaded from:', COMFYUI_WORKFLOW_FILE);
-        console.log('📄 Workflow contains', Object.keys(workflowTemplate).length, 'nodes');
-    } else {
-        console.log('⚠️  No workflow file found. Create workflow.json for automatic prompting.');
-    }
-} catch (error) {
-    console.error('❌ Error loading workflow template:', error.message);
-    console.log('🔧 Please check your workflow.json file for syntax errors');
+// Load workflow presets; edits in the folder are picked up without a restart
+const workflows = createWorkflowLibrary(WORKFLOWS_FOLDER, { defaultId: DEFAULT_WORKFLOW });
+workflows.watch();
+if (!workflows.get(DEFAULT_WORKFLOW)) {
+    console.log(`⚠️  Default workflow "${DEFAULT_WORKFLOW}" not found in ${WORKFLOWS_FOLDER}`);
 }
 
+// Generations beyond MAX_IN_FLIGHT wait here instead of piling onto ComfyUI
+const dispatchQueue = createDispatchQueue({
+    maxInFlight: MAX_IN_FLIGHT,
+    // A job whose dispatch threw must still end, or it would sit in 'saved' for good
+    onError: (jobId, error) => {
+        const job = getJob(jobId);
+        if (job && !isTerminal(job)) {
+            updateJobState(job, 'failed', { error: `Could not queue the workflow: ${error.message}` });
+        }
+    }
+});
+
+// ComfyUI backends: health-checked, and each prompt goes to the one with the shortest queue
+const backendPool = createBackendPool({
+    urls: COMFYUI_BACKENDS,
+    clientId: COMFYUI_CLIENT_ID,
+    healthIntervalMs: BACKEND_HEALTH_SECONDS * 1000
+});
+
+// Limit how fast one client can start generations
+const generationRateLimit = createRateLimiter({ limit: RATE_LIMIT_PER_MINUTE, name: 'generation requests' });
+
+// Tags, favorites, notes and renames of the generated meshes
+const modelLibrary = createModelLibrary(path.join(CAPTURES_FOLDER, 'models.json'));
+
+// Auto-capture sessions group captures taken with the same settings
+const sessionStore = createSessionStore(path.join(CAPTURES_FOLDER, 'sessions.json'));
+
+// Share links opening a single model's viewer page
+const shareStore = createShareStore(path.join(CAPTURES_FOLDER, 'shares.json'));
+
+// Webhook subscriptions (with their signing secrets) and the log of deliveries to them
+const webhookStore = createWebhookStore(path.join(CAPTURES_FOLDER, 'webhooks.json'));
+const webhooks = createWebhookDispatcher({
+    store: webhookStore,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    retrySeconds: WEBHOOK_RETRY_SECONDS
+});
+
 // Ensure directories exist
 console.log('🔍 Checking directories...');
-const dirsToCheck = [COMFYUI_INPUT_FOLDER, COMFYUI_OUTPUT_FOLDER, MODEL_MESH_FOLDER];
+// With the http transport ComfyUI's input folder lives on another machine
+const dirsToCheck = COMFYUI_TRANSPORT === 'http'
+    ? [COMFYUI_OUTPUT_FOLDER, MODEL_MESH_FOLDER, CAPTURES_FOLDER]
+    : [COMFYUI_INPUT_FOLDER, COMFYUI_OUTPUT_FOLDER, MODEL_MESH_FOLDER, CAPTURES_FOLDER];
 
 dirsToCheck.forEach(dir => {
     if (!fs.existsSync(dir)) {
@@ -57,11 +183,27 @@ dirsToCheck.forEach(dir => {
 
 // Middleware
 app.use(express.json({ limit: '10mb' }));
-app.use(express.static('public'));
-app.use(express.static('./')); // Serve files from current directory
+
+// Share tokens and webhook secrets are stored in capturesFolder, which the static handlers below serve
+const PRIVATE_FILE_PATTERN = /(^|\/)(shares|webhooks)\.json(\.part)?$/i;
+app.use((req, res, next) => {
+    let pathname = req.path;
+    try {
+        pathname = decodeURIComponent(pathname);
+    } catch (error) {
+        // Malformed escapes are left to the static handlers to reject
+    }
+    if (PRIVATE_FILE_PATTERN.test(pathname)) {
+        return res.status(404).json({ success: false, error: 'Not found' });
+    }
+    next();
+});
+app.use(express.static('public', { redirect: false })); // No folder redirects: GET /models is the model list route, not public/models/
+app.use(express.static('./', { redirect: false })); // Serve files from current directory; no folder redirects so /workflows reaches its route
 
 // IMPORTANT: Serve the models directory with proper CORS headers
 app.use('/models', express.static(COMFYUI_OUTPUT_FOLDER, {
+    redirect: false,
     setHeaders: (res, filePath) => {
         console.log(`📁 Serving file: ${filePath}`);
         // Set CORS headers for all model files
@@ -87,6 +229,67 @@ app.use('/mesh', express.static(MODEL_MESH_FOLDER, {
     }
 }));
 
+// Source frames and metadata sidecars kept for every capture
+app.use('/captures', express.static(CAPTURES_FOLDER));
+
+// Mesh stats by file path, reused while the file's size and mtime are unchanged
+const meshStatsCache = new Map();
+
+// Function to validate and measure a GLB in the mesh folder (cached; never throws)
+function meshStatsFor(fullPath, stats = fs.statSync(fullPath)) {
+    const cached = meshStatsCache.get(fullPath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+        return cached.analysis;
+    }
+
+    let analysis;
+    try {
+        analysis = analyzeGLBFile(fullPath);
+    } catch (error) {
+        analysis = { valid: false, error: `Could not read GLB: ${error.message}` };
+    }
+    meshStatsCache.set(fullPath, { size: stats.size, mtimeMs: stats.mtimeMs, analysis });
+    return analysis;
+}
+
+// Function to describe one GLB in the mesh folder with its capture, annotations and mesh stats
+function describeModelFile(file) {
+    const fullPath = path.join(MODEL_MESH_FOLDER, file);
+    const stats = fs.statSync(fullPath);
+    const annotations = modelLibrary.get(file);
+    const captureId = annotations.capture_id || captureIdFromOutput(file);
+    const metadata = captureId ? readCaptureMetadata(CAPTURES_FOLDER, captureId) : null;
+    const frames = metadata ? Object.values(metadata.frames || {}) : [];
+    const sourceFrame = frames[0] || (captureId ? inputFilenameFor(captureId) : null);
+    const frameStored = sourceFrameExists(CAPTURES_FOLDER, sourceFrame);
+    return {
+        name: file,
+        path: fullPath,
+        url: `/mesh/${file}`, // Direct URL to mesh folder
+        capture_id: captureId,
+        source_frame: sourceFrame,
+        thumbnail_url: frameStored ? `/captures/${encodeURIComponent(sourceFrame)}` : null,
+        can_rerun: Boolean(metadata) && frames.length > 0 && frames.every(frame => sourceFrameExists(CAPTURES_FOLDER, frame)),
+        workflow: metadata ? metadata.workflow : null,
+        params: metadata ? metadata.params : null,
+        prompt_id: metadata ? metadata.prompt_id : null,
+        views: metadata && !metadata.frames.image ? Object.keys(metadata.frames) : null,
+        rerun_of: metadata ? metadata.rerun_of : null,
+        retries: metadata && metadata.retries ? metadata.retries : [],
+        timings: metadata ? metadata.timings : null,
+        durations: metadata ? metadata.durations : null,
+        metadata_url: metadata ? `/captures/${captureId}.json` : null,
+        tags: annotations.tags,
+        favorite: annotations.favorite,
+        notes: annotations.notes,
+        media: annotations.media.map(file => describeModelMedia(MEDIA_FOLDER, file, MEDIA_URL)).filter(Boolean),
+        mesh_stats: meshStatsFor(fullPath, stats),
+        size: stats.size,
+        created: stats.mtime,
+        modified: stats.mtime
+    };
+}
+
 // Function to find GLB files in the mesh folder
 function findGLBFiles() {
     try {
@@ -105,18 +308,7 @@ function findGLBFiles() {
                 }
                 return isGLB;
             })
-            .map(file => {
-                const fullPath = path.join(MODEL_MESH_FOLDER, file);
-                const stats = fs.statSync(fullPath);
-                return {
-                    name: file,
-                    path: fullPath,
-                    url: `/mesh/${file}`, // Direct URL to mesh folder
-                    size: stats.size,
-                    created: stats.mtime,
-                    modified: stats.mtime
-                };
-            })
+            .map(describeModelFile)
             .sort((a, b) => b.created - a.created); // Sort by newest first
 
         console.log(`📊 Found ${files.length} GLB files total`);
@@ -128,274 +320,1812 @@ function findGLBFiles() {
     }
 }
 
+// Function to resolve a model name from a URL to a GLB in the mesh folder (null if it is not one)
+function resolveModelFile(name) {
+    if (!isValidModelName(name)) {
+        return null;
+    }
+
+    const fullPath = path.join(MODEL_MESH_FOLDER, name);
+    return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fullPath : null;
+}
+
 // Function to find the latest GLB file
 function findLatestGLBFile() {
     const files = findGLBFiles();
     return files.length > 0 ? files[0] : null;
 }
 
-// Function to update workflow with image filename
-function updateWorkflowWithImage(workflow, imageName) {
-    const updatedWorkflow = JSON.parse(JSON.stringify(workflow)); // Deep clone
-    
-    // Find and update LoadImage nodes
-    for (const nodeId in updatedWorkflow) {
-        const node = updatedWorkflow[nodeId];
-        
-        // Update LoadImage node
-        if (node.class_type === 'LoadImage') {
-            if (node.inputs && node.inputs.image) {
-                node.inputs.image = imageName;
-                console.log(`Updated LoadImage node ${nodeId} with image: ${imageName}`);
+
+// Function to cancel a job wherever it is: waiting on this server, pending in ComfyUI's queue, or running.
+// Returns what was done so the caller can report it.
+async function cancelJob(job) {
+    let action = 'removed_from_server_queue';
+    const backend = backendPool.get(job.backend);
+
+    if (job.prompt_id && backend) {
+        const queueResponse = await fetch(`${backend.url}/queue`, {
+            headers: { 'User-Agent': 'webcam-comfyui-app' },
+            timeout: 5000
+        });
+        if (!queueResponse.ok) {
+            throw new Error(`ComfyUI queue error: ${queueResponse.status} ${queueResponse.statusText}`);
+        }
+
+        const queue = await queueResponse.json();
+        const inQueue = items => (items || []).some(item => item[1] === job.prompt_id);
+
+        if (inQueue(queue.queue_pending)) {
+            await postToComfyUI(backend.url, '/queue', { delete: [job.prompt_id] });
+            action = 'removed_from_comfyui_queue';
+        } else if (inQueue(queue.queue_running)) {
+            // Newer ComfyUI only interrupts the given prompt; older versions interrupt whatever runs, which is this one
+            await postToComfyUI(backend.url, '/interrupt', { prompt_id: job.prompt_id });
+            action = 'interrupted';
+        } else {
+            action = 'already_finished_in_comfyui';
+        }
+    }
+
+    updateJobState(job, 'cancelled');
+    console.log(`🛑 Job ${job.id} cancelled (${action})`);
+    return action;
+}
+
+// Function to describe the server-side queue and what is in flight in ComfyUI
+function describeQueue() {
+    const jobsById = id => getJob(id);
+
+    return {
+        max_in_flight: dispatchQueue.maxInFlight,
+        in_flight: dispatchQueue.inFlightIds().map(jobsById).filter(Boolean).map(serializeJob),
+        waiting: dispatchQueue.pendingIds().map(jobsById).filter(Boolean).map((job, position) => ({
+            ...serializeJob(job),
+            queue_position: position
+        }))
+    };
+}
+
+// Function to turn a data URL from the browser into image bytes
+function decodeImageData(imageData) {
+    // Remove the data:image/<type>;base64, prefix
+    const base64Data = imageData.replace(/^data:image\/[a-z+.-]+;base64,/i, '');
+
+    // Convert base64 to buffer
+    return Buffer.from(base64Data, 'base64');
+}
+
+// Function to hand a frame to ComfyUI (uploaded to backend with the http transport),
+// returning the name its LoadImage node should use
+async function stageInputImage(buffer, filename, backend) {
+    if (COMFYUI_TRANSPORT === 'http') {
+        return uploadInputImage(backend.url, buffer, filename);
+    }
+
+    const filePath = path.join(COMFYUI_INPUT_FOLDER, filename);
+    fs.writeFileSync(filePath, buffer);
+    console.log(`💾 Frame saved: ${filePath}`);
+    return filename;
+}
+
+// Jobs whose GLB is being fetched; the websocket and the poller may both report success
+const completingJobs = new Set();
+
+// Function to mark a job succeeded once its GLB is available in the local mesh folder
+async function completeJob(job, glb) {
+    if (isTerminal(job) || completingJobs.has(job.id)) return;
+    completingJobs.add(job.id);
+
+    try {
+        if (COMFYUI_TRANSPORT === 'http') {
+            await downloadOutputFile(backendPool.get(job.backend).url, glb, MODEL_MESH_FOLDER);
+        }
+
+        // An empty or corrupt mesh is a failed generation, even though ComfyUI reported success
+        const localPath = path.join(MODEL_MESH_FOLDER, path.basename(glb.filename));
+        let meshStats = null;
+        if (fs.existsSync(localPath)) {
+            meshStats = meshStatsFor(localPath);
+            if (!meshStats.valid) {
+                console.error(`❌ Job ${job.id} produced an unusable mesh: ${meshStats.error}`);
+                await failGeneration(job, generationFailure(`Generated mesh ${glb.filename} is unusable: ${meshStats.error}`, 'empty_mesh'));
+                return;
             }
+        } else {
+            console.warn(`⚠️  ${glb.filename} is not in ${MODEL_MESH_FOLDER}; skipping mesh validation`);
         }
-        
-        // Update SaveGLB nodes to save to our mesh folder
-        if (node.class_type === 'SaveGLB') {
-            if (node.inputs && node.inputs.filename_prefix) {
-                // Set the output to save directly to our mesh folder
-                node.inputs.filename_prefix = `${OUTPUT_PREFIX}`;
-                console.log(`Updated SaveGLB node ${nodeId} with prefix: ${OUTPUT_PREFIX}`);
+
+        updateJobState(job, 'succeeded', { result: { ...glb, mesh_stats: meshStats } });
+        console.log(`🎉 Job ${job.id} produced ${glb.filename}${meshStats ? ` (${meshStats.triangle_count} triangles)` : ''}`);
+    } catch (error) {
+        console.error(`❌ Could not fetch the mesh for job ${job.id}:`, error.message);
+        updateJobState(job, 'failed', { error: `Mesh was generated but could not be downloaded: ${error.message}` });
+    } finally {
+        completingJobs.delete(job.id);
+    }
+}
+
+// Function to poll ComfyUI until a queued job reaches a terminal state
+async function trackJob(job) {
+    const deadline = Date.now() + JOB_TIMEOUT_MINUTES * 60 * 1000;
+
+    while (!isTerminal(job)) {
+        if (Date.now() > deadline) {
+            updateJobState(job, 'failed', { error: `Timed out after ${JOB_TIMEOUT_MINUTES} minutes` });
+            break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+
+        // While the job's backend is down the pool moves it elsewhere; prompt_id and backend then change
+        const backend = backendPool.get(job.backend);
+        if (!backend || backend.healthy === false) continue;
+
+        try {
+            const promptId = job.prompt_id;
+            const status = await fetchPromptStatus(backend.url, promptId);
+
+            // A retry or failover replaced the prompt while this poll was out
+            if (job.prompt_id !== promptId) continue;
+
+            if (status.state === 'succeeded') {
+                await completeJob(job, status.result);
+            } else if (status.state === 'failed') {
+                await failGeneration(job, status.error_details);
+            } else if (status.state && status.state !== job.state) {
+                updateJobState(job, status.state);
             }
+        } catch (error) {
+            // ComfyUI may be briefly busy; keep polling until the deadline
+            console.warn(`⚠️  Could not poll job ${job.id}: ${error.message}`);
         }
-        
-        // Update other image input nodes
-        if (node.class_type === 'LoadImageMask' || node.class_type === 'ImageInput') {
-            if (node.inputs && node.inputs.image) {
-                node.inputs.image = imageName;
-                console.log(`Updated ${node.class_type} node ${nodeId} with image: ${imageName}`);
+    }
+}
+
+// Per-prompt execution state used to turn /ws messages into a progress figure
+const promptTrackers = new Map();
+
+// Relative share of the progress bar per node class; sampling and decoding dominate a Hunyuan3D run
+const NODE_PROGRESS_WEIGHTS = {
+    KSampler: 60,
+    VAEDecodeHunyuan3D: 25,
+    VoxelToMesh: 5
+};
+const DEFAULT_NODE_WEIGHT = 1;
+
+// Function to start following a queued prompt on the websocket feed
+function startProgressTracking(job, workflow) {
+    const nodeClasses = {};
+    for (const nodeId in workflow) {
+        nodeClasses[nodeId] = workflow[nodeId].class_type;
+    }
+
+    promptTrackers.set(job.prompt_id, {
+        nodeClasses,
+        done: new Set(),
+        current: null
+    });
+}
+
+// Function to publish the current node and step counts for a job
+function reportProgress(job, tracker, value = 0, max = 1) {
+    const nodeIds = Object.keys(tracker.nodeClasses);
+    const nodesTotal = nodeIds.length;
+    const weightOf = nodeId => NODE_PROGRESS_WEIGHTS[tracker.nodeClasses[nodeId]] || DEFAULT_NODE_WEIGHT;
+
+    const totalWeight = nodeIds.reduce((sum, nodeId) => sum + weightOf(nodeId), 0);
+    const doneWeight = Array.from(tracker.done).reduce((sum, nodeId) => sum + weightOf(nodeId), 0);
+    const currentWeight = tracker.current && max > 0 ? weightOf(tracker.current) * (value / max) : 0;
+    const percent = totalWeight > 0 ? ((doneWeight + currentWeight) / totalWeight) * 100 : 0;
+
+    updateJobProgress(job, {
+        node: tracker.current,
+        class_type: tracker.current ? tracker.nodeClasses[tracker.current] || null : null,
+        value,
+        max,
+        nodes_done: tracker.done.size,
+        nodes_total: nodesTotal,
+        percent: Math.min(100, Math.round(percent * 10) / 10)
+    });
+}
+
+// Function to apply a ComfyUI /ws message from backend to the job that owns its prompt
+function handleComfyUIMessage(message, backend) {
+    const { type, data = {} } = message;
+    if (!data.prompt_id) return;
+
+    const job = findJobByPromptId(data.prompt_id);
+    const tracker = promptTrackers.get(data.prompt_id);
+    if (!job || !tracker || isTerminal(job) || job.backend !== backend.id) return;
+
+    switch (type) {
+        case 'execution_start':
+            updateJobState(job, 'running');
+            break;
+
+        case 'execution_cached':
+            (data.nodes || []).forEach(nodeId => tracker.done.add(nodeId));
+            reportProgress(job, tracker);
+            break;
+
+        case 'executing':
+            if (tracker.current) {
+                tracker.done.add(tracker.current);
+            }
+            // A null node means the whole graph finished; /history holds the result
+            tracker.current = data.node;
+            if (job.state !== 'running') {
+                updateJobState(job, 'running');
+            }
+            reportProgress(job, tracker);
+            break;
+
+        case 'progress':
+            tracker.current = data.node || tracker.current;
+            reportProgress(job, tracker, data.value, data.max);
+            break;
+
+        case 'executed': {
+            // SaveGLB reports its file here, so the mesh can load without waiting for a poll
+            const glb = findGLBInHistoryOutputs({ [data.node]: data.output });
+            if (glb) {
+                completeJob(job, glb);
             }
+            break;
         }
+
+        case 'execution_error':
+            failGeneration(job, executionErrorFromMessage(data));
+            break;
+
+        case 'execution_interrupted':
+            failGeneration(job, generationFailure('Execution was interrupted', 'interrupted'));
+            break;
+
+        default:
+            break;
     }
-    
-    return updatedWorkflow;
 }
 
-// Function to queue prompt in ComfyUI
-async function queueComfyUIPrompt(workflow, filename) {
+// Function to keep a capture's sidecar in step with its job
+function recordCaptureMetadata(job) {
+    if (!job.capture_id) return;
+
     try {
-        console.log('🔍 Checking ComfyUI connection...');
-        
-        // Check if ComfyUI is running
-        const healthCheck = await fetch(`${COMFYUI_API_URL}/system_stats`, { 
-            timeout: 5000,
-            headers: { 'User-Agent': 'webcam-comfyui-app' }
-        });
-        
-        if (!healthCheck.ok) {
-            throw new Error(`ComfyUI server returned status: ${healthCheck.status}`);
+        writeCaptureMetadata(CAPTURES_FOLDER, buildCaptureMetadata(serializeJob(job)));
+    } catch (error) {
+        console.warn(`⚠️  Could not write metadata for capture ${job.capture_id}: ${error.message}`);
+    }
+}
+
+// Function to build the data sent with a job's webhooks: the job, its capture's frames and, once it succeeded,
+// the model. Links are absolute (publicUrl) so the receiver can fetch them.
+function describeJobForWebhook(job) {
+    const absoluteUrl = pathname => `${PUBLIC_URL}${pathname}`;
+    const frames = job.views || { image: job.filename };
+    let model = null;
+
+    if (job.state === 'succeeded' && job.result) {
+        const name = path.basename(job.result.filename);
+        model = { name, url: absoluteUrl(`/mesh/${encodeURIComponent(name)}`), mesh_stats: job.result.mesh_stats || null };
+        try {
+            const described = describeModelFile(name);
+            model = {
+                ...model,
+                view_url: absoluteUrl(`/view/${encodeURIComponent(name)}`),
+                size: described.size,
+                tags: described.tags,
+                notes: described.notes,
+                workflow: described.workflow,
+                params: described.params,
+                created: described.created
+            };
+        } catch (error) {
+            console.warn(`⚠️  ${name} is not in ${MODEL_MESH_FOLDER}; sending the webhook without model details`);
         }
+    }
 
-        console.log('✅ ComfyUI is responding');
+    return {
+        job: serializeJob(job),
+        capture: {
+            capture_id: job.capture_id,
+            frames: Object.fromEntries(Object.entries(frames)
+                .map(([view, file]) => [view, absoluteUrl(`/captures/${encodeURIComponent(file)}`)])),
+            metadata_url: job.capture_id ? absoluteUrl(`/captures/${job.capture_id}.json`) : null
+        },
+        model
+    };
+}
 
-        // Update workflow with the new image
-        const updatedWorkflow = updateWorkflowWithImage(workflow, filename);
-        
-        // Prepare prompt data
-        const promptData = {
-            prompt: updatedWorkflow,
-            client_id: `webcam_app_${Date.now()}`
-        };
+// Jobs whose job-started webhook went out; retries and failovers run a job again but start it only once
+const startedWebhookJobs = new Set();
 
-        console.log('📤 Sending workflow to ComfyUI...');
+function notifyJobWebhooks(job) {
+    if (job.state === 'running' && !startedWebhookJobs.has(job.id)) {
+        startedWebhookJobs.add(job.id);
+        webhooks.deliver('job-started', describeJobForWebhook(job));
+    } else if (job.state === 'succeeded' || job.state === 'failed') {
+        webhooks.deliver(`job-${job.state}`, describeJobForWebhook(job));
+    }
 
-        // Queue the prompt
-        const response = await fetch(`${COMFYUI_API_URL}/prompt`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'webcam-comfyui-app'
-            },
-            body: JSON.stringify(promptData),
-            timeout: 10000
-        });
+    if (isTerminal(job)) {
+        startedWebhookJobs.delete(job.id);
+    }
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`ComfyUI API error: ${response.status} ${response.statusText} - ${errorText}`);
-        }
+// Relay job changes to browsers over Server-Sent Events
+jobEvents.on('update', job => {
+    if (isTerminal(job)) {
+        promptTrackers.delete(job.prompt_id);
+        jobSubmissions.delete(job.id);
+        strandedJobs.delete(job.id);
+        dispatchQueue.finished(job.id);
+    }
+    recordCaptureMetadata(job);
+    sse.broadcast('job', serializeJob(job));
+    notifyJobWebhooks(job);
+});
 
-        const result = await response.json();
-        console.log('✅ ComfyUI prompt queued successfully:', result);
-        
-        return {
-            success: true,
-            prompt_id: result.prompt_id,
-            number: result.number
-        };
+jobEvents.on('progress', job => {
+    sse.broadcast('progress', {
+        job_id: job.id,
+        capture_id: job.capture_id,
+        state: job.state,
+        progress: job.progress
+    });
+});
+
+workflows.on('reload', presets => sse.broadcast('workflows', presets));
+
+dispatchQueue.on('change', () => sse.broadcast('queue', describeQueue()));
+
+// What each live job needs to be queued again on another backend: { preset, frames, outputPrefix, params, staged }
+const jobSubmissions = new Map();
+
+// Jobs whose backend went down while no other backend could take them
+const strandedJobs = new Set();
+const failingOver = new Set();
+const retryingJobs = new Set();
 
+// Function to hand a capture's frames to ComfyUI, once per backend with the http transport.
+// Returns the LoadImage name: a string, or { view: name } for a multi-view capture.
+async function stageFrames(submission, backend) {
+    const key = COMFYUI_TRANSPORT === 'http' ? backend.id : 'filesystem';
+
+    if (!submission.staged[key]) {
+        const staged = await Promise.all(submission.frames.map(frame => stageInputImage(frame.buffer, frame.filename, backend)));
+        submission.staged[key] = submission.frames[0].view !== null
+            ? Object.fromEntries(submission.frames.map((frame, index) => [frame.view, staged[index]]))
+            : staged[0];
+    }
+    return submission.staged[key];
+}
+
+// Function to queue a job's prompt on the healthy backend with the shortest queue.
+// Returns queueComfyUIPrompt's result plus the backend it went to.
+async function dispatchJob(job) {
+    const submission = jobSubmissions.get(job.id);
+    const backend = await backendPool.pick();
+    if (!backend) {
+        return { success: false, error: 'No healthy ComfyUI backend is available' };
+    }
+
+    let inputName;
+    try {
+        inputName = await stageFrames(submission, backend);
     } catch (error) {
-        console.error('❌ Error queuing ComfyUI prompt:', error.message);
-        return {
-            success: false,
-            error: error.message
-        };
+        return { success: false, error: `Could not upload the frame to ${backend.url}: ${error.message}`, backend };
     }
+
+    const result = await queueComfyUIPrompt(
+        backend.url, submission.preset, inputName, submission.outputPrefix, submission.params, COMFYUI_CLIENT_ID
+    );
+    return { ...result, backend };
 }
 
-// Route to save webcam frame and queue ComfyUI workflow
-app.post('/save-frame', async (req, res) => {
+// Function to move a live job off a backend that went down: queue it again on the least busy healthy
+// backend and follow the new prompt (trackJob picks up the new prompt_id). Returns false if nothing could take it.
+async function failoverJob(job, reason) {
+    if (isTerminal(job) || failingOver.has(job.id) || !jobSubmissions.has(job.id)) return false;
+    failingOver.add(job.id);
+
     try {
-        console.log('📸 Received frame save request');
-        
-        const { imageData } = req.body;
-        
-        if (!imageData) {
-            return res.status(400).json({ error: 'Missing imageData' });
+        const from = backendPool.get(job.backend);
+        const previousPromptId = job.prompt_id;
+        const result = await dispatchJob(job);
+
+        if (!result.success && !result.backend) {
+            console.warn(`⚠️  Job ${job.id} could not fail over (${result.error}); retrying when a backend comes up`);
+            strandedJobs.add(job.id);
+            return false;
+        }
+        if (!result.success) {
+            // A backend answered but would not take the prompt; waiting will not change that
+            strandedJobs.delete(job.id);
+            updateJobState(job, 'failed', { error: `Could not move the job off ${from ? from.id : 'its backend'}: ${result.error}` });
+            return false;
         }
+        strandedJobs.delete(job.id);
 
-        const filename = INPUT_FILENAME;
+        if (isTerminal(job)) {
+            // Cancelled while the prompt was on its way
+            await postToComfyUI(result.backend.url, '/queue', { delete: [result.prompt_id] }).catch(() => {});
+            return true;
+        }
 
-        // Remove data:image/jpeg;base64, prefix
-        const base64Data = imageData.replace(/^data:image\/jpeg;base64,/, '');
-        
-        // Convert base64 to buffer
-        const buffer = Buffer.from(base64Data, 'base64');
-        
-        // Full path for the file
-        const filePath = path.join(COMFYUI_INPUT_FOLDER, filename);
-        
-        // Write file to ComfyUI input folder
-        fs.writeFileSync(filePath, buffer);
-        console.log(`💾 Frame saved: ${filePath}`);
-        
-        // Send immediate response
-        res.json({ 
-            success: true, 
-            message: `Frame saved to ${filePath}`,
-            filename: filename,
-            path: filePath,
-            comfyui_enabled: Object.keys(workflowTemplate).length > 0,
-            delay_seconds: PROMPT_DELAY_SECONDS,
-            mesh_folder: MODEL_MESH_FOLDER
+        promptTrackers.delete(previousPromptId);
+        updateJobState(job, 'queued', {
+            prompt_id: result.prompt_id,
+            queue_number: result.number,
+            backend: result.backend.id,
+            progress: null,
+            failovers: [...job.failovers, {
+                from: from ? from.id : null,
+                to: result.backend.id,
+                reason,
+                at: new Date().toISOString()
+            }]
         });
+        startProgressTracking(job, jobSubmissions.get(job.id).preset.workflow);
+        console.log(`🔀 Job ${job.id} moved from ${from ? from.id : 'an unknown backend'} to ${result.backend.id}: ${reason}`);
 
-        // Queue ComfyUI workflow after delay
-        if (Object.keys(workflowTemplate).length > 0) {
-            console.log(`⏰ Waiting ${PROMPT_DELAY_SECONDS} seconds before queuing ComfyUI workflow...`);
-            
-            setTimeout(async () => {
-                const result = await queueComfyUIPrompt(workflowTemplate, filename);
-                
-                if (result.success) {
-                    console.log(`🎨 ComfyUI workflow queued successfully for ${filename}`);
-                    console.log(`   📋 Prompt ID: ${result.prompt_id}, Queue Number: ${result.number}`);
-                    console.log(`   📁 3D Mesh will be saved to: ${MODEL_MESH_FOLDER}/${OUTPUT_PREFIX}_XXXXX.glb`);
-                } else {
-                    console.log(`❌ Failed to queue ComfyUI workflow: ${result.error}`);
-                }
-            }, PROMPT_DELAY_SECONDS * 1000);
-        } else {
-            console.log('⚠️  No workflow loaded, skipping ComfyUI processing');
+        // If the old backend only dropped off the network, its copy of the prompt may still be queued there
+        if (from) {
+            postToComfyUI(from.url, '/queue', { delete: [previousPromptId] }).catch(() => {});
         }
-        
-    } catch (error) {
-        console.error('❌ Error saving frame:', error);
-        res.status(500).json({ error: 'Failed to save frame' });
+        return true;
+    } finally {
+        failingOver.delete(job.id);
     }
-});
+}
 
-// Route to get latest GLB model
-app.get('/latest-model', (req, res) => {
+// Function to handle a generation that failed inside ComfyUI: record the failing node and exception,
+// or, when the retry policy allows, queue it again with a new seed or a lower octree_resolution
+async function failGeneration(job, errorDetails) {
+    if (isTerminal(job) || retryingJobs.has(job.id)) return;
+
+    const error = describeExecutionError(errorDetails);
+    const submission = jobSubmissions.get(job.id);
+    const plan = submission
+        ? planRetry({ params: job.params, details: errorDetails, attempt: job.retries.length, policy: RETRY_POLICY })
+        : null;
+
+    if (!plan) {
+        updateJobState(job, 'failed', { error, error_details: errorDetails });
+        console.log(`❌ Job ${job.id} failed: ${error}`);
+        return;
+    }
+
+    retryingJobs.add(job.id);
     try {
-        const latestModel = findLatestGLBFile();
-        
-        if (latestModel) {
-            console.log(`📦 Latest model: ${latestModel.name}`);
-            res.json({
-                success: true,
-                model: latestModel
-            });
-        } else {
-            console.log('📭 No GLB models found');
-            res.json({
-                success: false,
-                message: 'No GLB models found'
+        const previous = { prompt_id: job.prompt_id, backend: job.backend };
+        submission.params = { ...submission.params, ...plan.changes };
+        const result = await dispatchJob(job);
+
+        if (!result.success) {
+            updateJobState(job, 'failed', {
+                error: `${error} (the retry could not be queued: ${result.error})`,
+                error_details: errorDetails
             });
+            return;
+        }
+        if (isTerminal(job)) {
+            // Cancelled while the retry was on its way
+            await postToComfyUI(result.backend.url, '/queue', { delete: [result.prompt_id] }).catch(() => {});
+            return;
         }
-    } catch (error) {
-        console.error('❌ Error getting latest model:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to check for models'
-        });
-    }
-});
 
-// Route to list all GLB models
-app.get('/models', (req, res) => {
-    try {
-        const models = findGLBFiles();
-        
-        console.log(`📋 Listing ${models.length} models`);
-        
-        res.json({
-            success: true,
-            models: models,
-            count: models.length,
-            mesh_folder: MODEL_MESH_FOLDER
-        });
-        
-    } catch (error) {
-        console.error('❌ Error listing models:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to list models'
+        promptTrackers.delete(previous.prompt_id);
+        updateJobState(job, 'queued', {
+            prompt_id: result.prompt_id,
+            queue_number: result.number,
+            backend: result.backend.id,
+            progress: null,
+            params: { ...job.params, ...plan.changes },
+            retries: [...job.retries, {
+                ...previous,
+                error,
+                error_details: errorDetails,
+                changes: plan.changes,
+                at: new Date().toISOString()
+            }]
         });
+        startProgressTracking(job, submission.preset.workflow);
+        console.log(`🔁 Job ${job.id} failed (${error}); retry ${job.retries.length} of ${RETRY_POLICY.maxRetries} with ${plan.reason}`);
+    } finally {
+        retryingJobs.delete(job.id);
     }
+}
+
+backendPool.on('message', handleComfyUIMessage);
+
+// A backend dropping mid-job hands its live jobs to the others. Frames uploaded to it are forgotten,
+// since it may come back without them.
+backendPool.on('down', backend => {
+    jobSubmissions.forEach(submission => delete submission.staged[backend.id]);
+    listJobs()
+        .filter(job => !isTerminal(job) && job.prompt_id && job.backend === backend.id)
+        .forEach(job => failoverJob(job, `${backend.id} went down: ${backend.last_error}`));
 });
 
-// Route to get current configuration
-app.get('/config', (req, res) => {
-    res.json({ 
-        saveLocation: COMFYUI_INPUT_FOLDER,
-        outputLocation: COMFYUI_OUTPUT_FOLDER,
-        meshFolder: MODEL_MESH_FOLDER,
-        comfyuiApiUrl: COMFYUI_API_URL,
-        workflowLoaded: Object.keys(workflowTemplate).length > 0,
-        delaySeconds: PROMPT_DELAY_SECONDS,
-        inputFilename: INPUT_FILENAME,
-        outputPrefix: OUTPUT_PREFIX,
-        workflowType: '3D Mesh Generation (Hunyuan3D)',
-        inputExists: fs.existsSync(COMFYUI_INPUT_FOLDER),
-        outputExists: fs.existsSync(COMFYUI_OUTPUT_FOLDER),
-        meshFolderExists: fs.existsSync(MODEL_MESH_FOLDER)
+// Stranded jobs are retried as soon as any backend is back. When their own backend returns
+// still knowing the prompt, nothing needs to move.
+backendPool.on('up', () => {
+    strandedJobs.forEach(async jobId => {
+        const job = getJob(jobId);
+        if (!job || isTerminal(job)) {
+            strandedJobs.delete(jobId);
+            return;
+        }
+
+        const own = backendPool.get(job.backend);
+        if (own && own.healthy) {
+            const status = await fetchPromptStatus(own.url, job.prompt_id).catch(() => ({ state: null }));
+            if (status.state) {
+                strandedJobs.delete(jobId);
+                return;
+            }
+        }
+        failoverJob(job, 'prompt was lost while its backend was down');
     });
 });
 
-// Route to test ComfyUI connection
-app.get('/test-comfyui', async (req, res) => {
-    try {
-        console.log('🧪 Testing ComfyUI connection...');
-        const response = await fetch(`${COMFYUI_API_URL}/system_stats`, { 
-            timeout: 5000,
-            headers: { 'User-Agent': 'webcam-comfyui-app' }
-        });
-        
-        if (response.ok) {
-            const stats = await response.json();
-            console.log('✅ ComfyUI connection test successful');
-            res.json({ 
-                success: true, 
-                message: 'ComfyUI is running',
-                stats: stats
+backendPool.on('change', () => sse.broadcast('backends', backendPool.list()));
+backendPool.start();
+
+// Function to pick the preset for a request and check it fits the frames supplied.
+// Returns { preset, presetViews } or { error, details } for a 400 response.
+function resolveCapturePreset(workflowId, views) {
+    const preset = workflowId ? workflows.get(workflowId) : workflows.getDefault();
+    if (workflowId && !preset) {
+        return { error: `Unknown workflow: ${workflowId}` };
+    }
+
+    const presetViews = preset && preset.view_nodes ? Object.keys(preset.view_nodes) : null;
+    if (views) {
+        if (!presetViews) {
+            return { error: `Workflow ${preset ? preset.id : '(none)'} takes a single image, not views` };
+        }
+        if (typeof views !== 'object' || Array.isArray(views)) {
+            return { error: 'views must be an object of view name to image data' };
+        }
+        const missing = presetViews.filter(view => !views[view]);
+        const unknown = Object.keys(views).filter(view => !presetViews.includes(view));
+        if (missing.length > 0 || unknown.length > 0) {
+            return {
+                error: `Workflow ${preset.id} needs exactly these views: ${presetViews.join(', ')}`,
+                details: [
+                    ...missing.map(view => `Missing view: ${view}`),
+                    ...unknown.map(view => `Unexpected view: ${view}`)
+                ]
+            };
+        }
+    } else if (presetViews) {
+        return { error: `Workflow ${preset.id} needs views: ${presetViews.join(', ')}` };
+    }
+
+    return { preset, presetViews };
+}
+
+// Function to stage a capture's frames, create its job and queue the preset after the prompt delay.
+// frames is [{ view, buffer, extension }] with view null for a single image. Throws if ComfyUI cannot take the frames.
+async function startGeneration({ preset, frames, params, rerunOf = null, preprocess = null, sessionId = null }) {
+    const captureId = generateCaptureId();
+    const outputPrefix = outputPrefixFor(captureId);
+    const multiView = frames[0].view !== null;
+
+    frames.forEach(frame => {
+        frame.filename = inputFilenameFor(captureId, { view: frame.view || undefined, extension: frame.extension || 'jpg' });
+    });
+    const filename = frames[0].filename;
+
+    // Write to ComfyUI input folder, or upload it when ComfyUI runs elsewhere. With the http transport the
+    // frames go to the least busy backend now, and to any other backend the prompt is later sent to.
+    const submission = { preset, frames, outputPrefix, params, staged: {} };
+    let uploadBackend = null;
+    if (COMFYUI_TRANSPORT === 'http') {
+        uploadBackend = await backendPool.pick({ reserve: false });
+        if (!uploadBackend) {
+            throw new Error('No healthy ComfyUI backend is available');
+        }
+    }
+    const inputName = await stageFrames(submission, uploadBackend);
+
+    // Keep our own copy too; the ComfyUI input folder is not ours to manage
+    frames.forEach(frame => {
+        try {
+            saveSourceFrame(CAPTURES_FOLDER, frame.filename, frame.buffer);
+        } catch (error) {
+            console.warn(`⚠️  Could not keep source frame ${frame.filename}: ${error.message}`);
+        }
+    });
+
+    // Record the values this generation actually runs with
+    const effectiveParams = preset ? { ...readWorkflowParams(preset.workflow), ...params } : params;
+    const job = createJob({
+        captureId,
+        filename,
+        views: multiView ? Object.fromEntries(frames.map(frame => [frame.view, frame.filename])) : null,
+        workflow: preset ? preset.id : null,
+        params: effectiveParams,
+        rerunOf,
+        preprocess,
+        sessionId
+    });
+    jobSubmissions.set(job.id, submission);
+    recordCaptureMetadata(job);
+    webhooks.deliver('capture-saved', describeJobForWebhook(job));
+
+    // Wait for a free in-flight slot, then queue the ComfyUI workflow (never sooner than the prompt delay)
+    if (preset) {
+        const readyAt = Date.now() + PROMPT_DELAY_SECONDS * 1000;
+        console.log(`⏰ Waiting ${PROMPT_DELAY_SECONDS} seconds before queuing ComfyUI workflow "${preset.id}"...`);
+
+        dispatchQueue.enqueue(job.id, async () => {
+            const wait = readyAt - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            if (isTerminal(job)) return; // cancelled while waiting
+
+            const result = await dispatchJob(job);
+
+            if (result.success && isTerminal(job)) {
+                // Cancelled while the prompt was on its way; take it back out of ComfyUI
+                await postToComfyUI(result.backend.url, '/queue', { delete: [result.prompt_id] }).catch(error => {
+                    console.warn(`⚠️  Could not remove cancelled prompt ${result.prompt_id}: ${error.message}`);
+                });
+            } else if (result.success) {
+                console.log(`🎨 ComfyUI workflow queued successfully for ${filename}`);
+                console.log(`   📋 Prompt ID: ${result.prompt_id}, Queue Number: ${result.number}`);
+                console.log(`   🖥️  Backend: ${result.backend.id} (${result.backend.url})`);
+                console.log(`   📁 3D Mesh will be saved to: ${MODEL_MESH_FOLDER}/${outputPrefix}_XXXXX.glb`);
+
+                updateJobState(job, 'queued', {
+                    prompt_id: result.prompt_id,
+                    queue_number: result.number,
+                    backend: result.backend.id
+                });
+                startProgressTracking(job, preset.workflow);
+                trackJob(job).catch(error => {
+                    updateJobState(job, 'failed', { error: error.message });
+                });
+            } else {
+                console.log(`❌ Failed to queue ComfyUI workflow: ${result.error}`);
+                updateJobState(job, 'failed', { error: result.error });
+            }
+        });
+    } else {
+        console.log('⚠️  No workflow loaded, skipping ComfyUI processing');
+        updateJobState(job, 'failed', { error: 'No workflow loaded' });
+    }
+
+    return {
+        job,
+        inputName,
+        outputPrefix,
+        filePath: COMFYUI_TRANSPORT === 'http' ? null : path.join(COMFYUI_INPUT_FOLDER, filename)
+    };
+}
+
+// Function to build the response shared by /save-frame and re-runs
+function generationResponse({ job, inputName, outputPrefix, filePath }, preset) {
+    return {
+        success: true,
+        message: filePath ? `Frame saved to ${filePath}` : `Frame uploaded to ComfyUI as ${inputName}`,
+        filename: job.filename,
+        views: job.views,
+        path: filePath,
+        transport: COMFYUI_TRANSPORT,
+        capture_id: job.capture_id,
+        output_prefix: outputPrefix,
+        job_id: job.id,
+        job: serializeJob(job),
+        comfyui_enabled: Boolean(preset),
+        workflow: preset ? preset.id : null,
+        delay_seconds: PROMPT_DELAY_SECONDS,
+        mesh_folder: MODEL_MESH_FOLDER
+    };
+}
+
+// Function to validate a generation request and start it; shared by /save-frame (data URLs), /generate (uploads)
+// and session captures. image is one Buffer, views a { view: Buffer } map for a multi-view preset; fields holds
+// workflow, params and preprocess; session is the auto-capture session the capture belongs to, if any.
+async function handleGenerationRequest(res, { image, views, fields, session = null }) {
+    const { params, errors: paramErrors } = validateParams(fields.params);
+    if (paramErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid params', details: paramErrors });
+    }
+
+    const { preset, presetViews, error, details } = resolveCapturePreset(fields.workflow, views);
+    if (error) {
+        return res.status(400).json({ error, details });
+    }
+
+    const { options: preprocess, errors: preprocessErrors } = validatePreprocessOptions(fields.preprocess);
+    if (preprocessErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid preprocess options', details: preprocessErrors });
+    }
+
+    const frames = views
+        ? presetViews.map(view => ({ view, buffer: views[view] }))
+        : [{ view: null, buffer: image }];
+
+    // Trust the bytes, not the file name or declared type
+    for (const frame of frames) {
+        const imageType = detectImageType(frame.buffer);
+        if (!imageType) {
+            return res.status(400).json({ error: `${frame.view ? `View ${frame.view}` : 'Image'} is not a JPEG, PNG or WebP image` });
+        }
+        if (preprocess && !PREPROCESS_IMAGE_TYPES.includes(imageType.type)) {
+            return res.status(400).json({ error: `${frame.view ? `View ${frame.view}` : 'Image'} is ${imageType.type.toUpperCase()}; only JPEG and PNG images can be preprocessed` });
+        }
+        frame.extension = imageType.extension;
+    }
+
+    // Crop / square / background removal turn every frame into a PNG before ComfyUI sees it
+    if (preprocess) {
+        try {
+            frames.forEach(frame => {
+                frame.buffer = preprocessImage(frame.buffer, preprocess).png;
+                frame.extension = 'png';
+            });
+        } catch (error) {
+            console.error('❌ Error preprocessing frame:', error.message);
+            return res.status(422).json({ error: `Could not preprocess frame: ${error.message}` });
+        }
+    }
+
+    let generation;
+    try {
+        generation = await startGeneration({ preset, frames, params, preprocess, sessionId: session ? session.id : null });
+    } catch (error) {
+        console.error('❌ Error handing frame to ComfyUI:', error.message);
+        return res.status(502).json({ error: `Failed to send frame to ComfyUI: ${error.message}` });
+    }
+
+    if (session) {
+        sessionStore.addCapture(session.id, generation.job.capture_id);
+    }
+    res.json(generationResponse(generation, preset));
+}
+
+// Route to save webcam frame and queue ComfyUI workflow
+app.post('/save-frame', generationRateLimit, async (req, res) => {
+    try {
+        console.log('📸 Received frame save request');
+        
+        // A single frame arrives as imageData; a multi-view capture as views: { front, left, back, right }
+        const { imageData, views } = req.body;
+        
+        if (!imageData && !views) {
+            return res.status(400).json({ error: 'Missing imageData' });
+        }
+
+        const decodedViews = views && typeof views === 'object' && !Array.isArray(views)
+            ? Object.fromEntries(Object.entries(views).map(([view, data]) => [view, typeof data === 'string' ? decodeImageData(data) : null]))
+            : views;
+
+        await handleGenerationRequest(res, {
+            image: typeof imageData === 'string' ? decodeImageData(imageData) : null,
+            views: decodedViews,
+            fields: req.body
+        });
+        
+    } catch (error) {
+        console.error('❌ Error saving frame:', error);
+        res.status(500).json({ error: 'Failed to save frame' });
+    }
+});
+
+// Uploaded images stay in memory; they are validated and staged like webcam frames
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+        files: VIEW_NAMES.length,
+        fields: 10
+    }
+}).fields([{ name: 'image', maxCount: 1 }, ...VIEW_NAMES.map(view => ({ name: view, maxCount: 1 }))]);
+
+// Function to parse an optional JSON form field (params, preprocess)
+function parseJsonField(body, name, errors) {
+    if (body[name] === undefined || body[name] === '') {
+        return undefined;
+    }
+    try {
+        return JSON.parse(body[name]);
+    } catch (error) {
+        errors.push(`${name} must be JSON`);
+        return undefined;
+    }
+}
+
+// Route to generate from uploaded image files (multipart/form-data).
+// Fields: image (or front/left/back/right for a multi-view preset), workflow, and JSON-encoded params and preprocess.
+app.post('/generate', generationRateLimit, (req, res) => {
+    upload(req, res, async uploadError => {
+        if (uploadError) {
+            const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = uploadError.code === 'LIMIT_FILE_SIZE'
+                ? `Image is larger than ${MAX_UPLOAD_MB} MB`
+                : uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? `Unexpected file field "${uploadError.field}" (use image, or ${VIEW_NAMES.join(', ')})`
+                    : uploadError.message;
+            console.error('❌ Upload rejected:', message);
+            return res.status(status).json({ error: message });
+        }
+
+        try {
+            const files = req.files || {};
+            const uploadedViews = VIEW_NAMES.filter(view => files[view]);
+            console.log(`📤 Received upload: ${files.image ? files.image[0].originalname : uploadedViews.join(', ') || 'no files'}`);
+
+            if (!files.image && uploadedViews.length === 0) {
+                return res.status(400).json({ error: 'Missing image file' });
+            }
+            if (files.image && uploadedViews.length > 0) {
+                return res.status(400).json({ error: 'Send either one image or per-view files, not both' });
+            }
+
+            const errors = [];
+            const fields = {
+                workflow: req.body.workflow || undefined,
+                params: parseJsonField(req.body, 'params', errors),
+                preprocess: parseJsonField(req.body, 'preprocess', errors)
+            };
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid form fields', details: errors });
+            }
+
+            await handleGenerationRequest(res, {
+                image: files.image ? files.image[0].buffer : null,
+                views: uploadedViews.length > 0
+                    ? Object.fromEntries(uploadedViews.map(view => [view, files[view][0].buffer]))
+                    : undefined,
+                fields
+            });
+
+        } catch (error) {
+            console.error('❌ Error handling upload:', error);
+            res.status(500).json({ error: 'Failed to process upload' });
+        }
+    });
+});
+
+// Route to preview preprocessing without generating: returns the processed PNG as a data URL
+app.post('/preprocess', (req, res) => {
+    const { imageData } = req.body || {};
+    if (typeof imageData !== 'string') {
+        return res.status(400).json({ success: false, error: 'Missing imageData' });
+    }
+
+    const { options, errors } = validatePreprocessOptions(req.body.preprocess || {});
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid preprocess options', details: errors });
+    }
+
+    const buffer = decodeImageData(imageData);
+    const imageType = detectImageType(buffer);
+    if (imageType && !PREPROCESS_IMAGE_TYPES.includes(imageType.type)) {
+        return res.status(400).json({ success: false, error: `Image is ${imageType.type.toUpperCase()}; only JPEG and PNG images can be preprocessed` });
+    }
+
+    try {
+        const started = Date.now();
+        const result = preprocessImage(buffer, options);
+        console.log(`✂️  Preprocessed preview ${result.width}x${result.height} in ${Date.now() - started}ms (${options.background} background)`);
+
+        res.json({
+            success: true,
+            preview: `data:image/png;base64,${result.png.toString('base64')}`,
+            width: result.width,
+            height: result.height,
+            transparent_fraction: result.transparent_fraction,
+            preprocess: options
+        });
+    } catch (error) {
+        console.error('❌ Error preprocessing preview:', error.message);
+        res.status(422).json({ success: false, error: `Could not preprocess frame: ${error.message}` });
+    }
+});
+
+// Route to generate again from a stored capture, optionally with another workflow or params.
+// Without a body the original workflow and parameters are reused.
+app.post('/captures/:captureId/rerun', generationRateLimit, async (req, res) => {
+    try {
+        const metadata = readCaptureMetadata(CAPTURES_FOLDER, req.params.captureId);
+        if (!metadata) {
+            return res.status(404).json({ success: false, error: `Capture not found: ${req.params.captureId}` });
+        }
+
+        const storedViews = Object.keys(metadata.frames || {});
+        const frames = storedViews.map(view => ({
+            view: view === 'image' ? null : view,
+            buffer: readSourceFrame(CAPTURES_FOLDER, metadata.frames[view])
+        }));
+        if (frames.length === 0 || frames.some(frame => !frame.buffer)) {
+            return res.status(410).json({ success: false, error: `Source frames of capture ${metadata.capture_id} are no longer stored` });
+        }
+
+        const workflowId = (req.body && req.body.workflow) || metadata.workflow;
+        const sameWorkflow = workflowId === metadata.workflow;
+
+        // The original params only make sense for the preset they came from
+        const { params, errors: paramErrors } = validateParams({
+            ...(sameWorkflow ? metadata.params : {}),
+            ...(req.body && req.body.params)
+        });
+        if (paramErrors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid params', details: paramErrors });
+        }
+
+        const views = frames[0].view ? Object.fromEntries(frames.map(frame => [frame.view, true])) : undefined;
+        const { preset, error, details } = resolveCapturePreset(workflowId, views);
+        if (error) {
+            return res.status(400).json({ success: false, error, details });
+        }
+
+        console.log(`🔁 Re-running capture ${metadata.capture_id} with workflow "${workflowId}"`);
+
+        let generation;
+        try {
+            generation = await startGeneration({ preset, frames, params, rerunOf: metadata.capture_id });
+        } catch (error) {
+            console.error('❌ Error handing frame to ComfyUI:', error.message);
+            return res.status(502).json({ success: false, error: `Failed to send frame to ComfyUI: ${error.message}` });
+        }
+
+        res.json({ ...generationResponse(generation, preset), rerun_of: metadata.capture_id });
+
+    } catch (error) {
+        console.error('❌ Error re-running capture:', error);
+        res.status(500).json({ success: false, error: 'Failed to re-run capture' });
+    }
+});
+
+// Route streaming job state and execution progress to the browser
+app.get('/events', (req, res) => {
+    sse.addClient(req, res);
+
+    // Bring a freshly connected page up to date with anything still in flight
+    const activeJobs = listJobs().filter(job => !isTerminal(job)).map(serializeJob);
+    sse.send(res, 'jobs', activeJobs);
+    sse.send(res, 'queue', describeQueue());
+});
+
+// Route to list tracked generation jobs
+app.get('/jobs', (req, res) => {
+    const jobs = listJobs().map(serializeJob);
+    res.json({
+        success: true,
+        jobs: jobs,
+        count: jobs.length
+    });
+});
+
+// Route to get the state, timings and result of a single job
+app.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: `Job not found: ${req.params.id}`
+        });
+    }
+
+    res.json({
+        success: true,
+        job: serializeJob(job)
+    });
+});
+
+// Route to cancel a job: dropped from the server queue, deleted from ComfyUI's queue, or interrupted while running
+app.post('/jobs/:id/cancel', async (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+    }
+    if (isTerminal(job)) {
+        return res.status(409).json({ success: false, error: `Job ${job.id} already ${job.state}` });
+    }
+
+    try {
+        const action = await cancelJob(job);
+        res.json({ success: true, action, job: serializeJob(job) });
+    } catch (error) {
+        console.error(`❌ Error cancelling job ${job.id}:`, error.message);
+        res.status(502).json({ success: false, error: `Could not cancel in ComfyUI: ${error.message}` });
+    }
+});
+
+// Route to move a job waiting in the server queue: { "position": 0 } runs it next
+app.post('/jobs/:id/move', (req, res) => {
+    const job = getJob(req.params.id);
+    const position = req.body ? req.body.position : undefined;
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+    }
+    if (!Number.isInteger(position) || position < 0) {
+        return res.status(400).json({ success: false, error: 'position must be a non-negative integer' });
+    }
+    if (!dispatchQueue.move(job.id, position)) {
+        return res.status(409).json({ success: false, error: `Job ${job.id} is not waiting in the server queue` });
+    }
+
+    res.json({ success: true, queue_position: dispatchQueue.position(job.id), queue: describeQueue() });
+});
+
+// Route to show the server queue and the generations in flight
+app.get('/queue', (req, res) => {
+    res.json({ success: true, ...describeQueue() });
+});
+
+// Route to describe the tunable generation parameters and a workflow's defaults
+app.get('/params', (req, res) => {
+    const preset = req.query.workflow ? workflows.get(req.query.workflow) : workflows.getDefault();
+
+    if (req.query.workflow && !preset) {
+        return res.status(404).json({ success: false, error: `Unknown workflow: ${req.query.workflow}` });
+    }
+
+    res.json({
+        success: true,
+        workflow: preset ? preset.id : null,
+        schema: PARAM_SCHEMA,
+        defaults: preset ? readWorkflowParams(preset.workflow) : {}
+    });
+});
+
+// Route to list workflow presets
+app.get('/workflows', (req, res) => {
+    const presets = workflows.list();
+    res.json({
+        success: true,
+        workflows: presets,
+        count: presets.length,
+        default: workflows.getDefault() ? workflows.getDefault().id : null,
+        errors: workflows.errors(),
+        folder: WORKFLOWS_FOLDER
+    });
+});
+
+// Route to get one preset including its full ComfyUI graph
+app.get('/workflows/:id', (req, res) => {
+    const preset = workflows.get(req.params.id);
+
+    if (!preset) {
+        return res.status(404).json({ success: false, error: `Unknown workflow: ${req.params.id}` });
+    }
+
+    res.json({
+        success: true,
+        workflow: {
+            ...workflows.describe(preset),
+            graph: preset.workflow
+        }
+    });
+});
+
+// Function to describe one capture of a session from its sidecar (and live job, if still in the registry)
+function describeSessionCapture(captureId) {
+    const metadata = readCaptureMetadata(CAPTURES_FOLDER, captureId);
+    if (!metadata) {
+        return { capture_id: captureId, state: 'unknown' };
+    }
+
+    const job = metadata.job_id ? getJob(metadata.job_id) : null;
+    const frame = Object.values(metadata.frames || {})[0];
+    const modelPath = metadata.model ? resolveModelFile(path.basename(metadata.model)) : null;
+
+    return {
+        capture_id: captureId,
+        job_id: metadata.job_id,
+        state: job ? job.state : metadata.state,
+        progress: job ? job.progress : null,
+        thumbnail_url: sourceFrameExists(CAPTURES_FOLDER, frame) ? `/captures/${encodeURIComponent(frame)}` : null,
+        model: modelPath ? path.basename(metadata.model) : null,
+        model_url: modelPath ? `/mesh/${path.basename(metadata.model)}` : null,
+        mesh_stats: metadata.mesh_stats || null,
+        error: metadata.error,
+        durations: metadata.durations
+    };
+}
+
+// Function to summarise a session for listings
+function summarizeSession(session) {
+    return {
+        id: session.id,
+        name: session.name,
+        mode: session.mode,
+        interval_seconds: session.interval_seconds,
+        workflow: session.workflow,
+        created_at: session.created_at,
+        closed_at: session.closed_at,
+        capture_count: session.captures.length
+    };
+}
+
+// Route to open an auto-capture session. Body: { name, mode: "interval" | "motion", interval_seconds,
+// workflow, params, preprocess }; the generation settings are checked once and used for every capture.
+app.post('/sessions', generationRateLimit, (req, res) => {
+    const { details, errors } = validateSessionDetails(req.body || {});
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid session', details: errors });
+    }
+
+    const { params, errors: paramErrors } = validateParams(req.body.params);
+    if (paramErrors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid params', details: paramErrors });
+    }
+
+    const { preset, error } = resolveCapturePreset(req.body.workflow, undefined);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    const { options: preprocess, errors: preprocessErrors } = validatePreprocessOptions(req.body.preprocess);
+    if (preprocessErrors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid preprocess options', details: preprocessErrors });
+    }
+
+    const session = sessionStore.create(details, {
+        workflow: preset ? preset.id : null,
+        params: req.body.params || {},
+        preprocess: req.body.preprocess || null
+    });
+    console.log(`🎞️  Session ${session.id} opened (${session.mode}${session.interval_seconds ? `, every ${session.interval_seconds}s` : ''})`);
+
+    res.status(201).json({ success: true, session });
+});
+
+// Route to list sessions, newest first
+app.get('/sessions', (req, res) => {
+    res.json({ success: true, sessions: sessionStore.list().map(summarizeSession) });
+});
+
+// Route to review a session: its settings and every capture with its state and resulting model
+app.get('/sessions/:id', (req, res) => {
+    const session = sessionStore.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ success: false, error: `Session not found: ${req.params.id}` });
+    }
+
+    res.json({
+        success: true,
+        session,
+        captures: session.captures.map(describeSessionCapture)
+    });
+});
+
+// Route to add a frame to an open session: { imageData }. Generation starts straight away with the
+// session's settings. Opening the session is what counts against the rate limit; captures are capped per session.
+app.post('/sessions/:id/captures', async (req, res) => {
+    const session = sessionStore.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ success: false, error: `Session not found: ${req.params.id}` });
+    }
+    if (session.closed_at) {
+        return res.status(409).json({ success: false, error: `Session ${session.id} is closed` });
+    }
+    if (session.captures.length >= MAX_SESSION_CAPTURES) {
+        return res.status(409).json({ success: false, error: `Session ${session.id} already has ${MAX_SESSION_CAPTURES} captures` });
+    }
+
+    const { imageData } = req.body || {};
+    if (typeof imageData !== 'string') {
+        return res.status(400).json({ success: false, error: 'Missing imageData' });
+    }
+
+    try {
+        console.log(`🎞️  Capture ${session.captures.length + 1} for session ${session.id}`);
+        await handleGenerationRequest(res, {
+            image: decodeImageData(imageData),
+            fields: { workflow: session.workflow, params: session.params, preprocess: session.preprocess || undefined },
+            session
+        });
+    } catch (error) {
+        console.error('❌ Error saving session capture:', error);
+        res.status(500).json({ success: false, error: 'Failed to save capture' });
+    }
+});
+
+// Route to close a session so no more captures are added
+app.post('/sessions/:id/close', (req, res) => {
+    const session = sessionStore.close(req.params.id);
+    if (!session) {
+        return res.status(404).json({ success: false, error: `Session not found: ${req.params.id}` });
+    }
+
+    console.log(`🎞️  Session ${session.id} closed with ${session.captures.length} capture(s)`);
+    res.json({ success: true, session: summarizeSession(session) });
+});
+
+// Route to get latest GLB model
+app.get('/latest-model', (req, res) => {
+    try {
+        const latestModel = findLatestGLBFile();
+        
+        if (latestModel) {
+            console.log(`📦 Latest model: ${latestModel.name}`);
+            res.json({
+                success: true,
+                model: latestModel
             });
         } else {
-            console.log(`❌ ComfyUI returned status: ${response.status}`);
-            res.json({ 
-                success: false, 
-                message: `ComfyUI returned status: ${response.status}`
+            console.log('📭 No GLB models found');
+            res.json({
+                success: false,
+                message: 'No GLB models found'
             });
         }
     } catch (error) {
-        console.log(`❌ Cannot connect to ComfyUI: ${error.message}`);
-        res.json({ 
-            success: false, 
-            message: `Cannot connect to ComfyUI: ${error.message}`
+        console.error('❌ Error getting latest model:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check for models'
+        });
+    }
+});
+
+// Route to list all GLB models
+// Optional filters: ?tag=<tag> and ?favorite=true
+app.get('/models', (req, res) => {
+    try {
+        const allModels = findGLBFiles();
+        const models = allModels.filter(model =>
+            (!req.query.tag || model.tags.includes(String(req.query.tag).toLowerCase())) &&
+            (req.query.favorite !== 'true' || model.favorite));
+        
+        console.log(`📋 Listing ${models.length} models`);
+        
+        res.json({
+            success: true,
+            models: models,
+            count: models.length,
+            tags: Array.from(new Set(allModels.flatMap(model => model.tags))).sort(),
+            mesh_folder: MODEL_MESH_FOLDER
+        });
+        
+    } catch (error) {
+        console.error('❌ Error listing models:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list models'
+        });
+    }
+});
+
+// Function to delete one model and its annotations. Returns { status, error } on failure.
+function deleteModel(name) {
+    const modelPath = resolveModelFile(name);
+    if (!modelPath) {
+        return { status: 404, error: `Model not found: ${name}` };
+    }
+
+    fs.unlinkSync(modelPath);
+    modelLibrary.get(name).media.forEach(file => deleteModelMedia(MEDIA_FOLDER, file));
+    modelLibrary.remove(name);
+    shareStore.removeModel(name);
+    console.log(`🗑️  Deleted model ${name}`);
+    return { name };
+}
+
+// Function to point a capture's sidecar at its model's new name (session views link models through it)
+function renameCaptureModel(captureId, newName) {
+    const metadata = captureId ? readCaptureMetadata(CAPTURES_FOLDER, captureId) : null;
+    if (!metadata || !metadata.model) return;
+
+    try {
+        writeCaptureMetadata(CAPTURES_FOLDER, { ...metadata, model: newName });
+    } catch (error) {
+        console.warn(`⚠️  Could not update metadata for capture ${captureId}: ${error.message}`);
+    }
+}
+
+// Function to rename a model and/or change its tags, favorite flag and notes.
+// Returns { name, annotations } or { status, error } on failure.
+function updateModel(name, changes) {
+    const modelPath = resolveModelFile(name);
+    if (!modelPath) {
+        return { status: 404, error: `Model not found: ${name}` };
+    }
+
+    const { name: newName, ...annotationChanges } = changes;
+    let currentName = name;
+
+    if (newName && newName !== name) {
+        const target = path.join(MODEL_MESH_FOLDER, newName);
+        // Compare case-insensitively so a rename never clobbers a file on Windows or macOS
+        const taken = fs.readdirSync(MODEL_MESH_FOLDER).some(file =>
+            file.toLowerCase() === newName.toLowerCase() && file.toLowerCase() !== name.toLowerCase());
+        if (taken) {
+            return { status: 409, error: `A model named ${newName} already exists` };
+        }
+
+        fs.renameSync(modelPath, target);
+        const { capture_id: captureId } = modelLibrary.rename(name, newName, captureIdFromOutput(name));
+        shareStore.renameModel(name, newName);
+        renameCaptureModel(captureId, newName);
+        currentName = newName;
+        console.log(`✏️  Renamed model ${name} to ${newName}`);
+    }
+
+    const annotations = Object.keys(annotationChanges).length > 0
+        ? modelLibrary.update(currentName, annotationChanges)
+        : modelLibrary.get(currentName);
+    return { name: currentName, annotations };
+}
+
+// Tell open pages to refresh their models list
+function broadcastModelsChanged() {
+    sse.broadcast('models', { changed_at: new Date().toISOString() });
+}
+
+// Route to delete a generated model
+app.delete('/models/:name', (req, res) => {
+    try {
+        const result = deleteModel(req.params.name);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        broadcastModelsChanged();
+        res.json({ success: true, deleted: result.name });
+
+    } catch (error) {
+        console.error(`❌ Error deleting model ${req.params.name}:`, error);
+        res.status(500).json({ success: false, error: 'Failed to delete model' });
+    }
+});
+
+// Route to rename a model or change its tags, favorite flag and notes
+app.patch('/models/:name', (req, res) => {
+    try {
+        const { changes, errors } = validateModelChanges(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid model changes', details: errors });
+        }
+
+        const result = updateModel(req.params.name, changes);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        broadcastModelsChanged();
+        res.json({ success: true, name: result.name, ...result.annotations });
+
+    } catch (error) {
+        console.error(`❌ Error updating model ${req.params.name}:`, error);
+        res.status(500).json({ success: false, error: 'Failed to update model' });
+    }
+});
+
+// Route to apply one action to many models:
+// { action: 'delete' | 'tag' | 'untag' | 'favorite' | 'unfavorite', names: [...], tags: [...] }
+const BULK_ACTIONS = ['delete', 'tag', 'untag', 'favorite', 'unfavorite'];
+
+app.post('/models/bulk', (req, res) => {
+    const { action, names } = req.body || {};
+    const errors = [];
+
+    if (!BULK_ACTIONS.includes(action)) {
+        errors.push(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(names) || names.length === 0) {
+        errors.push('names must be a non-empty array of model names');
+    }
+    const tags = action === 'tag' || action === 'untag' ? normalizeTags(req.body.tags, errors) : [];
+    if ((action === 'tag' || action === 'untag') && tags.length === 0 && errors.length === 0) {
+        errors.push('tags must list at least one tag');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid bulk request', details: errors });
+    }
+
+    const results = names.map(name => {
+        try {
+            if (action === 'delete') {
+                return { name, ...deleteModel(name) };
+            }
+
+            const current = modelLibrary.get(name).tags;
+            const changes = {
+                tag: { tags: Array.from(new Set([...current, ...tags])) },
+                untag: { tags: current.filter(tag => !tags.includes(tag)) },
+                favorite: { favorite: true },
+                unfavorite: { favorite: false }
+            }[action];
+            const result = updateModel(name, changes);
+            return result.error ? { name, ...result } : { name: result.name, ...result.annotations };
+        } catch (error) {
+            console.error(`❌ Bulk ${action} failed for ${name}:`, error.message);
+            return { name, status: 500, error: error.message };
+        }
+    });
+
+    const failed = results.filter(result => result.error).length;
+    if (failed < results.length) {
+        broadcastModelsChanged();
+    }
+
+    console.log(`📦 Bulk ${action}: ${results.length - failed} succeeded, ${failed} failed`);
+    res.json({
+        success: failed === 0,
+        action,
+        results: results.map(({ status, ...result }) => ({ ...result, success: !result.error })),
+        succeeded: results.length - failed,
+        failed
+    });
+});
+
+// Route to get a model's validation result and mesh statistics
+app.get('/models/:name/stats', (req, res) => {
+    const modelPath = resolveModelFile(req.params.name);
+    if (!modelPath) {
+        return res.status(404).json({ success: false, error: `Model not found: ${req.params.name}` });
+    }
+
+    res.json({ success: true, name: req.params.name, mesh_stats: meshStatsFor(modelPath) });
+});
+
+// Viewer recordings arrive as one multipart "file" field
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_MEDIA_MB * 1024 * 1024,
+        files: 1,
+        fields: 5
+    }
+}).single('file');
+
+// Route to store a snapshot PNG or turntable WebM recorded in the viewer with its model
+app.post('/models/:name/media', (req, res) => {
+    const name = req.params.name;
+    if (!resolveModelFile(name)) {
+        return res.status(404).json({ success: false, error: `Model not found: ${name}` });
+    }
+
+    mediaUpload(req, res, uploadError => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge ? `File is larger than ${MAX_MEDIA_MB} MB` : uploadError.message
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'Missing file' });
+        }
+
+        // Trust the bytes, not the file name or declared type
+        const mediaType = detectMediaType(req.file.buffer);
+        if (!mediaType) {
+            return res.status(400).json({ success: false, error: 'File is not a PNG snapshot or WebM video' });
+        }
+        // The model may have been renamed or deleted during the upload
+        if (!resolveModelFile(name)) {
+            return res.status(404).json({ success: false, error: `Model not found: ${name}` });
+        }
+
+        try {
+            const filename = mediaFilenameFor(name, mediaType);
+            saveModelMedia(MEDIA_FOLDER, filename, req.file.buffer);
+            modelLibrary.update(name, { media: [...modelLibrary.get(name).media, filename] });
+            console.log(`🎞️  Stored ${mediaType.kind} ${filename} for ${name}`);
+
+            broadcastModelsChanged();
+            res.status(201).json({ success: true, media: describeModelMedia(MEDIA_FOLDER, filename, MEDIA_URL) });
+        } catch (error) {
+            console.error('❌ Error storing model media:', error);
+            res.status(500).json({ success: false, error: 'Failed to store the file' });
+        }
+    });
+});
+
+app.get('/models/:name/media', (req, res) => {
+    if (!resolveModelFile(req.params.name)) {
+        return res.status(404).json({ success: false, error: `Model not found: ${req.params.name}` });
+    }
+
+    res.json({
+        success: true,
+        media: modelLibrary.get(req.params.name).media
+            .map(file => describeModelMedia(MEDIA_FOLDER, file, MEDIA_URL))
+            .filter(Boolean)
+    });
+});
+
+app.delete('/models/:name/media/:file', (req, res) => {
+    const { name, file } = req.params;
+    const media = resolveModelFile(name) ? modelLibrary.get(name).media : [];
+    if (!media.includes(file)) {
+        return res.status(404).json({ success: false, error: `No ${file} stored with ${name}` });
+    }
+
+    deleteModelMedia(MEDIA_FOLDER, file);
+    modelLibrary.update(name, { media: media.filter(other => other !== file) });
+    console.log(`🗑️  Deleted ${file} from ${name}`);
+
+    broadcastModelsChanged();
+    res.json({ success: true, name, file });
+});
+
+// Function to describe a share link with the absolute URLs to hand out
+function describeShare(share, req) {
+    const base = `${req.protocol}://${req.get('host')}/view/${encodeURIComponent(share.model)}`;
+    const query = `?token=${share.token}`;
+
+    return {
+        ...share,
+        expired: isExpired(share),
+        view_url: `${base}${query}`,
+        embed_url: `${base}/embed${query}`,
+        iframe: `<iframe src="${base}/embed${query}" width="640" height="480" style="border:0" allowfullscreen></iframe>`
+    };
+}
+
+// Route to create a share link for a model; expires_in_hours is optional
+app.post('/models/:name/shares', (req, res) => {
+    if (!resolveModelFile(req.params.name)) {
+        return res.status(404).json({ success: false, error: `Model not found: ${req.params.name}` });
+    }
+
+    const { options, errors } = validateShareOptions(req.body || {});
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid share options', details: errors });
+    }
+
+    const share = shareStore.create(req.params.name, options);
+    console.log(`🔗 Share link created for ${req.params.name}${share.expires_at ? ` (expires ${share.expires_at})` : ''}`);
+    res.status(201).json({ success: true, share: describeShare(share, req) });
+});
+
+app.get('/models/:name/shares', (req, res) => {
+    if (!resolveModelFile(req.params.name)) {
+        return res.status(404).json({ success: false, error: `Model not found: ${req.params.name}` });
+    }
+
+    res.json({
+        success: true,
+        shares: shareStore.listForModel(req.params.name).map(share => describeShare(share, req))
+    });
+});
+
+app.delete('/shares/:token', (req, res) => {
+    const share = shareStore.revoke(req.params.token);
+    if (!share) {
+        return res.status(404).json({ success: false, error: 'Share link not found' });
+    }
+
+    console.log(`🔗 Share link for ${share.model} revoked`);
+    res.json({ success: true, share });
+});
+
+// Function to decide whether a viewer request may see a model. A token, when given, must be a live
+// share of that model; with requireShareToken on, one is needed. Returns { share } or { status, error }.
+// This guards the viewer's details only; /mesh and the other model routes stay public (see requireShareToken).
+function checkViewAccess(name, token) {
+    if (token !== undefined) {
+        const share = shareStore.get(String(token));
+        if (!share || share.model !== name) {
+            return { status: 403, error: 'This share link is not valid for this model' };
+        }
+        if (isExpired(share)) {
+            return { status: 410, error: `This share link expired at ${share.expires_at}` };
+        }
+        return { share };
+    }
+
+    if (REQUIRE_SHARE_TOKEN) {
+        return { status: 403, error: 'This model can only be opened through a share link' };
+    }
+    return { share: null };
+}
+
+// Standalone viewer pages for one model; the page asks /view/:modelId/details for the model and
+// shows any access error itself. The embed variant drops the page chrome for use in an <iframe>.
+app.get(['/view/:modelId', '/view/:modelId/embed'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'viewer.html'));
+});
+
+// Route to get what the viewer page shows: the model, its source capture and generation parameters
+app.get('/view/:modelId/details', (req, res) => {
+    const name = req.params.modelId;
+    const access = checkViewAccess(name, req.query.token);
+    if (access.error) {
+        return res.status(access.status).json({ success: false, error: access.error });
+    }
+
+    if (!resolveModelFile(name)) {
+        return res.status(404).json({ success: false, error: `Model not found: ${name}` });
+    }
+
+    const { path: modelPath, ...model } = describeModelFile(name);
+    const metadata = model.capture_id ? readCaptureMetadata(CAPTURES_FOLDER, model.capture_id) : null;
+    const frames = Object.entries(metadata ? metadata.frames || {} : {})
+        .filter(([, frame]) => sourceFrameExists(CAPTURES_FOLDER, frame))
+        .map(([view, frame]) => ({ view, url: `/captures/${encodeURIComponent(frame)}` }));
+
+    res.json({
+        success: true,
+        model: {
+            ...model,
+            preprocess: metadata ? metadata.preprocess : null
+        },
+        frames,
+        share: access.share ? { created_at: access.share.created_at, expires_at: access.share.expires_at } : null
+    });
+});
+
+// Route to convert a GLB model to OBJ, STL or PLY (?format=obj|stl|ply&units=m|cm|mm|in&scale=1&up=y|z)
+app.get('/models/:name/export', (req, res) => {
+    const modelPath = resolveModelFile(req.params.name);
+    if (!modelPath) {
+        return res.status(404).json({ success: false, error: `Model not found: ${req.params.name}` });
+    }
+
+    const { options, errors } = validateExportOptions(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid export options', details: errors });
+    }
+
+    let exported;
+    try {
+        const mesh = readGLBMesh(fs.readFileSync(modelPath));
+        if (mesh.indices.length === 0) {
+            throw new Error('model contains no triangles');
+        }
+
+        const baseName = path.basename(req.params.name, path.extname(req.params.name));
+        exported = exportMesh(mesh, options, baseName);
+        exported.filename = `${baseName}.${exported.extension}`;
+
+        console.log(`📤 Exported ${req.params.name} as ${options.format.toUpperCase()} (${mesh.indices.length / 3} triangles, ${options.units}, ${options.up}-up)`);
+    } catch (error) {
+        console.error(`❌ Error exporting ${req.params.name}:`, error.message);
+        return res.status(422).json({ success: false, error: `Could not convert model: ${error.message}` });
+    }
+
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+});
+
+// Route to get current configuration
+app.get('/config', (req, res) => {
+    res.json({ 
+        saveLocation: COMFYUI_INPUT_FOLDER,
+        outputLocation: COMFYUI_OUTPUT_FOLDER,
+        meshFolder: MODEL_MESH_FOLDER,
+        comfyuiApiUrl: COMFYUI_API_URL,
+        comfyuiBackends: COMFYUI_BACKENDS,
+        transport: COMFYUI_TRANSPORT,
+        workflowLoaded: Boolean(workflows.getDefault()),
+        defaultWorkflow: workflows.getDefault() ? workflows.getDefault().id : null,
+        workflowCount: workflows.list().length,
+        comfyuiSocketConnected: backendPool.list().some(backend => backend.socket_connected),
+        delaySeconds: PROMPT_DELAY_SECONDS,
+        inputFilename: `${INPUT_PREFIX}_<capture_id>.jpg`,
+        outputPrefix: `${OUTPUT_PREFIX}_<capture_id>`,
+        workflowType: '3D Mesh Generation (Hunyuan3D)',
+        inputExists: fs.existsSync(COMFYUI_INPUT_FOLDER),
+        outputExists: fs.existsSync(COMFYUI_OUTPUT_FOLDER),
+        meshFolderExists: fs.existsSync(MODEL_MESH_FOLDER),
+        configFile: config.file,
+        settings: describeConfig(config)
+    });
+});
+
+// Route to test the ComfyUI connection: checks every backend now
+app.get('/test-comfyui', async (req, res) => {
+    console.log('🧪 Testing ComfyUI connection...');
+    await backendPool.checkAll();
+
+    const backends = backendPool.list();
+    const healthy = backends.filter(backend => backend.healthy);
+
+    if (healthy.length > 0) {
+        console.log(`✅ ComfyUI connection test successful (${healthy.length}/${backends.length} backends up)`);
+        res.json({
+            success: true,
+            message: backends.length > 1
+                ? `${healthy.length} of ${backends.length} ComfyUI backends are running`
+                : 'ComfyUI is running',
+            stats: backendPool.get(healthy[0].id).stats,
+            backends
+        });
+    } else {
+        console.log(`❌ Cannot connect to ComfyUI: ${backends.map(backend => backend.last_error).join('; ')}`);
+        res.json({
+            success: false,
+            message: `Cannot connect to ComfyUI: ${backends.map(backend => `${backend.url}: ${backend.last_error}`).join('; ')}`,
+            backends
         });
     }
 });
 
+// Route to list ComfyUI backends with their health, queue depth and VRAM (public/backends.html shows it)
+app.get('/backends', (req, res) => {
+    const backends = backendPool.list();
+    const liveJobs = listJobs().filter(job => !isTerminal(job) && job.backend);
+
+    res.json({
+        success: true,
+        health_interval_seconds: BACKEND_HEALTH_SECONDS,
+        healthy_count: backends.filter(backend => backend.healthy).length,
+        backends: backends.map(backend => ({
+            ...backend,
+            active_jobs: liveJobs.filter(job => job.backend === backend.id).map(job => job.id)
+        }))
+    });
+});
+
+// Webhook subscriptions: other tools get a signed POST when captures are saved and jobs start, succeed or fail
+app.get('/webhooks', (req, res) => {
+    res.json({
+        success: true,
+        events: WEBHOOK_EVENTS,
+        max_attempts: WEBHOOK_MAX_ATTEMPTS,
+        retry_seconds: WEBHOOK_RETRY_SECONDS,
+        webhooks: webhookStore.list().map(describeWebhook)
+    });
+});
+
+// The response is the only place the signing secret is shown
+app.post('/webhooks', (req, res) => {
+    const { options, errors } = validateWebhookOptions(req.body || {});
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid webhook', details: errors });
+    }
+
+    const webhook = webhookStore.create(options);
+    console.log(`📨 Webhook ${webhook.id} added: ${webhook.url} (${webhook.events.join(', ')})`);
+    res.status(201).json({ success: true, webhook });
+});
+
+app.delete('/webhooks/:id', (req, res) => {
+    const webhook = webhookStore.remove(req.params.id);
+    if (!webhook) {
+        return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
+    }
+
+    webhooks.cancelRetries(webhook.id);
+    console.log(`📨 Webhook ${webhook.id} removed`);
+    res.json({ success: true, webhook: describeWebhook(webhook) });
+});
+
+// Route to send a ping event to one subscription, to check the receiver and its signature check
+app.post('/webhooks/:id/ping', (req, res) => {
+    if (!webhookStore.get(req.params.id)) {
+        return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
+    }
+
+    const [delivery] = webhooks.deliver(PING_EVENT, { message: 'Webhook ping' }, { webhookId: req.params.id });
+    res.status(202).json({ success: true, delivery_id: delivery.id });
+});
+
+// Route to list recent deliveries, newest first; ?webhook=<id> and ?state=<state> narrow it down
+app.get('/webhooks/deliveries', (req, res) => {
+    const deliveries = webhooks.listDeliveries({ webhookId: req.query.webhook || null, state: req.query.state || null });
+    res.json({
+        success: true,
+        deliveries: deliveries.map(({ payload, ...delivery }) => delivery)
+    });
+});
+
+app.get('/webhooks/deliveries/:id', (req, res) => {
+    const delivery = webhooks.getDelivery(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ success: false, error: `Delivery not found: ${req.params.id}` });
+    }
+
+    res.json({ success: true, delivery });
+});
+
 // Route to debug model files and paths
 app.get('/debug-models', (req, res) => {
     try {
@@ -489,10 +2219,11 @@ app.listen(PORT, () => {
     console.log(`📁 Input frames: ${COMFYUI_INPUT_FOLDER}`);
     console.log(`📁 Output models: ${COMFYUI_OUTPUT_FOLDER}`);
     console.log(`📁 Mesh folder: ${MODEL_MESH_FOLDER}`);
-    console.log(`🔗 ComfyUI API URL: ${COMFYUI_API_URL}`);
+    console.log(`🔗 ComfyUI backend(s): ${COMFYUI_BACKENDS.join(', ')}`);
+    console.log(`🚚 Transport: ${COMFYUI_TRANSPORT === 'http' ? 'HTTP upload/download' : 'shared filesystem'}`);
     console.log(`⏰ Workflow delay: ${PROMPT_DELAY_SECONDS} seconds`);
-    console.log(`📄 Input filename: ${INPUT_FILENAME}`);
-    console.log(`🎨 3D Mesh output: ${OUTPUT_PREFIX}_XXXXX.glb`);
+    console.log(`📄 Input filename: ${INPUT_PREFIX}_<capture_id>.jpg`);
+    console.log(`🎨 3D Mesh output: ${OUTPUT_PREFIX}_<capture_id>_XXXXX.glb`);
     console.log('🚀 ================================\n');
     
     // Check for existing models on startup
@@ -507,12 +2238,13 @@ app.listen(PORT, () => {
         console.log(`📁 No existing 3D models found in: ${MODEL_MESH_FOLDER}`);
     }
     
-    if (Object.keys(workflowTemplate).length === 0) {
-        console.log('\n⚠️  No workflow loaded. Create workflow.json to enable automatic prompting.');
+    const defaultPreset = workflows.getDefault();
+    if (!defaultPreset) {
+        console.log(`\n⚠️  No workflow presets loaded. Add one to ${WORKFLOWS_FOLDER} to enable automatic prompting.`);
     } else {
-        console.log(`\n✅ Hunyuan3D workflow template loaded (${Object.keys(workflowTemplate).length} nodes)`);
+        console.log(`\n✅ ${workflows.list().length} workflow preset(s) loaded, default: ${defaultPreset.id} (${Object.keys(defaultPreset.workflow).length} nodes)`);
     }
     
-    console.log('\n🎯 Ready for webcam captures! Open http://localhost:3000 in your browser');
-    console.log(`🐛 Debug models at: http://localhost:3000/debug-models\n`);
+    console.log(`\n🎯 Ready for webcam captures! Open http://localhost:${PORT} in your browser`);
+    console.log(`🐛 Debug models at: http://localhost:${PORT}/debug-models\n`);
 });
\ No newline at end of file
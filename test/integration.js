@@ -0,0 +1,157 @@
+// test/integration.js - Capture -> generate -> view against the bundled mock ComfyUI.
+// Starts the mock in this process and server.js as a child with every folder in a temporary directory,
+// saves a frame, waits for its job and checks the mesh is listed and served. Exits 0 on success, 1 on failure.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const fetch = require('node-fetch');
+const jpeg = require('jpeg-js');
+const { createMockComfyUI } = require('../lib/mock-comfyui');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const SERVER_START_TIMEOUT_MS = 15000;
+const JOB_TIMEOUT_MS = 30000;
+
+// Function to find a free local port
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to make a small JPEG webcam frame as a data URL
+function testFrame() {
+    const width = 64;
+    const height = 48;
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4] = (i % width) * 4;
+        data[i * 4 + 1] = Math.floor(i / width) * 5;
+        data[i * 4 + 2] = 128;
+        data[i * 4 + 3] = 255;
+    }
+    return `data:image/jpeg;base64,${jpeg.encode({ width, height, data }, 90).data.toString('base64')}`;
+}
+
+// Function to poll until check() returns a value, or fail after timeoutMs
+async function waitFor(description, timeoutMs, check) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await check().catch(() => null);
+        if (value) return value;
+        await sleep(250);
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+}
+
+async function run(baseUrl) {
+    await waitFor('the server to start', SERVER_START_TIMEOUT_MS, async () => (await fetch(`${baseUrl}/workflows`)).ok);
+
+    // Capture
+    const saveResponse = await fetch(`${baseUrl}/save-frame`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ imageData: testFrame(), params: { seed: 42 } })
+    });
+    const saved = await saveResponse.json();
+    assert.strictEqual(saveResponse.status, 200, `save-frame answered ${saveResponse.status}: ${JSON.stringify(saved)}`);
+    assert.ok(saved.job_id, 'save-frame returned no job_id');
+    console.log(`✅ Frame saved, job ${saved.job_id}`);
+
+    // Generate
+    const job = await waitFor(`job ${saved.job_id} to finish`, JOB_TIMEOUT_MS, async () => {
+        const body = await (await fetch(`${baseUrl}/jobs/${saved.job_id}`)).json();
+        return ['succeeded', 'failed', 'cancelled'].includes(body.job.state) ? body.job : null;
+    });
+    assert.strictEqual(job.state, 'succeeded', `job ended ${job.state}: ${job.error}`);
+    assert.strictEqual(job.params.seed, 42);
+    const modelName = path.basename(job.result.filename);
+    assert.ok(job.result.mesh_stats.valid, 'generated mesh is not valid');
+    console.log(`✅ Job succeeded with ${modelName} (${job.result.mesh_stats.triangle_count} triangles)`);
+
+    // View
+    const listing = await (await fetch(`${baseUrl}/models`)).json();
+    const model = listing.models.find(entry => entry.name === modelName);
+    assert.ok(model, `${modelName} is not in /models`);
+    assert.strictEqual(model.capture_id, saved.capture_id);
+
+    const meshResponse = await fetch(`${baseUrl}/mesh/${encodeURIComponent(modelName)}`);
+    assert.strictEqual(meshResponse.status, 200);
+    const mesh = await meshResponse.buffer();
+    assert.strictEqual(mesh.toString('ascii', 0, 4), 'glTF', '/mesh did not serve a GLB');
+    console.log(`✅ ${modelName} is listed and served (${mesh.length} bytes)`);
+}
+
+async function main() {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'webcam3d-test-'));
+    const folders = {
+        input: path.join(folder, 'input'),
+        output: path.join(folder, 'output'),
+        mesh: path.join(folder, 'mesh'),
+        captures: path.join(folder, 'captures')
+    };
+    Object.values(folders).forEach(dir => fs.mkdirSync(dir));
+
+    const [mockPort, serverPort] = [await freePort(), await freePort()];
+    const mock = createMockComfyUI({
+        workflowsFolder: path.join(PROJECT_ROOT, 'workflows'),
+        inputFolder: folders.input,
+        meshFolder: folders.mesh,
+        nodeDelayMs: 5,
+        stepDelayMs: 2
+    });
+    await new Promise(resolve => mock.listen(mockPort, resolve));
+
+    // A config file that does not exist keeps a developer's config.json out of the test
+    const server = spawn(process.execPath, [path.join(PROJECT_ROOT, 'server.js')], {
+        cwd: PROJECT_ROOT,
+        env: {
+            ...process.env,
+            WEBCAM3D_CONFIG: path.join(folder, 'config.json'),
+            PORT: String(serverPort),
+            COMFYUI_API_URL: `http://127.0.0.1:${mockPort}`,
+            COMFYUI_BACKENDS: '',
+            COMFYUI_TRANSPORT: 'filesystem',
+            COMFYUI_INPUT_FOLDER: folders.input,
+            COMFYUI_OUTPUT_FOLDER: folders.output,
+            MODEL_MESH_FOLDER: folders.mesh,
+            CAPTURES_FOLDER: folders.captures,
+            PROMPT_DELAY_SECONDS: '0'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let serverLog = '';
+    server.stdout.on('data', chunk => { serverLog += chunk; });
+    server.stderr.on('data', chunk => { serverLog += chunk; });
+
+    let failed = false;
+    try {
+        await run(`http://127.0.0.1:${serverPort}`);
+        console.log('🎉 Capture -> generate -> view works against the mock ComfyUI');
+    } catch (error) {
+        failed = true;
+        console.error(`❌ ${error.message}`);
+        console.error('--- server output ---');
+        console.error(serverLog);
+    } finally {
+        server.kill();
+        await new Promise(resolve => mock.close(resolve));
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
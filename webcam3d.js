@@ -0,0 +1,528 @@
+#!/usr/bin/env node
+// webcam3d.js - Command line tool: generate meshes for a batch of photos through ComfyUI without the browser,
+// and list or export the meshes the server keeps. Reads the same config.json and environment as server.js.
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { loadConfig } = require('./lib/config');
+const { generateCaptureId, inputFilenameFor, outputPrefixFor, captureIdFromOutput } = require('./lib/captures');
+const { createWorkflowLibrary } = require('./lib/workflows');
+const { PARAM_SCHEMA, validateParams, readWorkflowParams } = require('./lib/params');
+const { queueComfyUIPrompt, fetchPromptStatus, postToComfyUI } = require('./lib/comfyui-prompts');
+const { uploadInputImage, downloadOutputFile } = require('./lib/comfyui-files');
+const { detectImageType } = require('./lib/image-types');
+const { saveSourceFrame, buildCaptureMetadata, writeCaptureMetadata, readCaptureMetadata } = require('./lib/capture-store');
+const { createJob, updateJobState, serializeJob, jobEvents } = require('./lib/jobs');
+const { describeExecutionError } = require('./lib/generation-errors');
+const { createDispatchQueue } = require('./lib/dispatch-queue');
+const { analyzeGLBFile } = require('./lib/mesh-stats');
+const { readGLBMesh } = require('./lib/glb');
+const { validateExportOptions, exportMesh } = require('./lib/mesh-export');
+const { isValidModelName, createModelLibrary } = require('./lib/model-library');
+
+const USAGE = `Usage: webcam3d <command> [options]
+
+Commands:
+  generate <image|folder>...    Generate a mesh for each JPEG, PNG or WebP image (folders are not searched recursively)
+  list                          List the meshes in the mesh folder
+  export <model.glb>            Convert a mesh to OBJ, STL or PLY
+
+generate options:
+  --workflow <id>               Workflow preset (default: defaultWorkflow)
+  --concurrency <n>             Images in ComfyUI at once (default: maxInFlight)
+  --<param> <value>             Generation parameter: ${Object.keys(PARAM_SCHEMA).map(key => `--${key.replace(/_/g, '-')}`).join(', ')}
+  --randomize-seed              A new random seed for every image
+  --report <file.json|file.csv> Write one result row per image
+  --timeout <minutes>           Give up on an image after this long (default 30)
+  --comfyui <url>               ComfyUI to use (default: comfyuiApiUrl)
+
+list options:
+  --tag <tag>                   Only meshes with this tag
+  --favorite                    Only favourite meshes
+  --json                        Print JSON instead of a table
+
+export options:
+  --format obj|stl|ply          Output format (default: obj)
+  --units m|cm|mm|in            Output units (default: m)
+  --scale <n>                   Extra scale factor (default: 1)
+  --up y|z                      Up axis (default: y)
+  --out <file>                  Output file (default: <model>.<format> in the current folder)
+
+Common options:
+  --verbose                     Show the detailed log lines the server would print
+  --help                        Show this help
+`;
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['randomize-seed', 'favorite', 'json', 'verbose', 'help'];
+
+const POLL_INTERVAL_MS = 2000;
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+// Columns of the generate report, in order
+const REPORT_COLUMNS = [
+    'input', 'state', 'capture_id', 'model', 'prompt_id', 'workflow', 'seed', 'octree_resolution',
+    'triangles', 'watertight', 'seconds', 'error'
+];
+
+// Lines for the user; the libraries' detailed log lines go to the log option, shown only with --verbose
+const print = console.log.bind(console);
+const quiet = () => {};
+
+class UsageError extends Error {}
+
+// Function to split argv into positionals and --options (--name value or --name=value)
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const separator = arg.indexOf('=');
+        const name = arg.slice(2, separator === -1 ? undefined : separator);
+        if (separator !== -1) {
+            options[name] = arg.slice(separator + 1);
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new UsageError(`--${name} needs a value`);
+        }
+    }
+
+    return { positionals, options };
+}
+
+// Function to reject options the command does not know (typos would otherwise be ignored silently)
+function checkOptions(options, known) {
+    const unknown = Object.keys(options).filter(name => !known.includes(name) && !['verbose', 'help'].includes(name));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown option(s): ${unknown.map(name => `--${name}`).join(', ')}`);
+    }
+}
+
+function positiveInteger(name, value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} must be a positive whole number`);
+    }
+    return number;
+}
+
+// Function to turn parameter flags (--octree-resolution 256) into the raw params validateParams expects
+function readParamFlags(options) {
+    const raw = {};
+
+    Object.keys(PARAM_SCHEMA).forEach(key => {
+        const value = options[key.replace(/_/g, '-')];
+        if (value === undefined) return;
+
+        const rule = PARAM_SCHEMA[key];
+        raw[key] = rule.type === 'enum' || value.trim() === '' ? value : Number(value);
+    });
+    if (options['randomize-seed']) {
+        raw.randomize_seed = true;
+    }
+
+    const { params, errors } = validateParams(raw);
+    if (errors.length > 0) {
+        throw new UsageError(`Invalid parameters:\n   • ${errors.join('\n   • ')}`);
+    }
+    // With --randomize-seed every image draws its own seed (reported per image); this one is never used
+    if (raw.randomize_seed) {
+        delete params.seed;
+    }
+    return { raw, params };
+}
+
+// Function to expand the generate arguments into image files: files as given, folders by extension, sorted
+function collectImages(inputs) {
+    const images = [];
+
+    inputs.forEach(input => {
+        if (!fs.existsSync(input)) {
+            throw new UsageError(`${input} does not exist`);
+        }
+
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(file => /\.(jpe?g|png|webp)$/i.test(file))
+                .sort()
+                .forEach(file => images.push(path.join(input, file)));
+        } else {
+            images.push(input);
+        }
+    });
+
+    return images;
+}
+
+// Function to quote a CSV field when it needs it
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to write the generate report as JSON (with a summary) or CSV (one row per image)
+function writeReport(file, summary, rows) {
+    const body = path.extname(file).toLowerCase() === '.csv'
+        ? [REPORT_COLUMNS, ...rows.map(row => REPORT_COLUMNS.map(column => row[column]))]
+            .map(fields => fields.map(csvField).join(','))
+            .join('\n') + '\n'
+        : JSON.stringify({ ...summary, results: rows }, null, 2);
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, body);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to poll ComfyUI until the job's prompt finishes; returns the GLB file info or throws
+async function waitForPrompt(apiUrl, job, timeoutMinutes, log) {
+    const deadline = Date.now() + timeoutMinutes * 60 * 1000;
+
+    while (Date.now() < deadline) {
+        await sleep(POLL_INTERVAL_MS);
+
+        let status;
+        try {
+            status = await fetchPromptStatus(apiUrl, job.prompt_id);
+        } catch (error) {
+            console.warn(`⚠️  Could not check prompt ${job.prompt_id}: ${error.message}`);
+            continue;
+        }
+
+        if (status.state === 'succeeded') {
+            return status.result;
+        }
+        if (status.state === 'failed') {
+            const error = new Error(describeExecutionError(status.error_details));
+            error.details = status.error_details;
+            throw error;
+        }
+        if (status.state && status.state !== job.state) {
+            updateJobState(job, status.state, {}, { log });
+        }
+    }
+
+    // Do not leave the prompt behind in ComfyUI's queue
+    await postToComfyUI(apiUrl, '/queue', { delete: [job.prompt_id] }).catch(() => {});
+    throw new Error(`Timed out after ${timeoutMinutes} minutes`);
+}
+
+// Function to run one image through the preset the way /save-frame does: keep the source frame, write the capture
+// sidecar, stage the frame for ComfyUI, queue the prompt and wait for the mesh. Resolves to the report row.
+async function generateOne(file, { config, preset, rawParams, apiUrl, clientId, timeoutMinutes, log }) {
+    const startedAt = Date.now();
+    let job = null;
+
+    try {
+        const buffer = fs.readFileSync(file);
+        const imageType = detectImageType(buffer);
+        if (!imageType) {
+            throw new Error('Not a JPEG, PNG or WebP image');
+        }
+
+        // Validated per image so --randomize-seed gives each one its own seed
+        const { params } = validateParams(rawParams);
+        const captureId = generateCaptureId();
+        const filename = inputFilenameFor(captureId, { extension: imageType.extension });
+        const outputPrefix = outputPrefixFor(captureId);
+
+        let inputName = filename;
+        if (config.transport === 'http') {
+            inputName = await uploadInputImage(apiUrl, buffer, filename, { log });
+        } else {
+            fs.writeFileSync(path.join(config.comfyuiInputFolder, filename), buffer);
+        }
+        saveSourceFrame(config.capturesFolder, filename, buffer);
+
+        job = createJob({
+            captureId,
+            filename,
+            workflow: preset.id,
+            params: { ...readWorkflowParams(preset.workflow), ...params }
+        }, { log });
+
+        const result = await queueComfyUIPrompt(apiUrl, preset, inputName, outputPrefix, params, clientId, { log });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        updateJobState(job, 'queued', { prompt_id: result.prompt_id, queue_number: result.number }, { log });
+
+        const glb = await waitForPrompt(apiUrl, job, timeoutMinutes, log);
+        if (config.transport === 'http') {
+            await downloadOutputFile(apiUrl, glb, config.modelMeshFolder, { log });
+        }
+
+        // An empty or corrupt mesh is a failed generation, even though ComfyUI reported success
+        const localPath = path.join(config.modelMeshFolder, path.basename(glb.filename));
+        const meshStats = fs.existsSync(localPath) ? analyzeGLBFile(localPath) : null;
+        if (meshStats && !meshStats.valid) {
+            throw new Error(`Generated mesh ${glb.filename} is unusable: ${meshStats.error}`);
+        }
+        updateJobState(job, 'succeeded', { result: { ...glb, mesh_stats: meshStats } }, { log });
+    } catch (error) {
+        if (job) {
+            updateJobState(job, 'failed', { error: error.message, error_details: error.details || null }, { log });
+        }
+
+        return {
+            ...Object.fromEntries(REPORT_COLUMNS.map(column => [column, null])),
+            input: file,
+            state: 'failed',
+            capture_id: job ? job.capture_id : null,
+            prompt_id: job ? job.prompt_id : null,
+            workflow: preset.id,
+            seconds: Math.round((Date.now() - startedAt) / 100) / 10,
+            error: error.message
+        };
+    }
+
+    const meshStats = job.result.mesh_stats;
+    return {
+        input: file,
+        state: job.state,
+        capture_id: job.capture_id,
+        model: path.basename(job.result.filename),
+        prompt_id: job.prompt_id,
+        workflow: preset.id,
+        seed: job.params.seed !== undefined ? job.params.seed : null,
+        octree_resolution: job.params.octree_resolution !== undefined ? job.params.octree_resolution : null,
+        triangles: meshStats ? meshStats.triangle_count : null,
+        watertight: meshStats ? meshStats.watertight : null,
+        seconds: Math.round((Date.now() - startedAt) / 100) / 10,
+        error: null
+    };
+}
+
+async function generateCommand(inputs, options, config) {
+    const log = options.verbose ? print : quiet;
+    checkOptions(options, [
+        'workflow', 'concurrency', 'randomize-seed', 'report', 'timeout', 'comfyui',
+        ...Object.keys(PARAM_SCHEMA).map(key => key.replace(/_/g, '-'))
+    ]);
+    if (inputs.length === 0) {
+        throw new UsageError('generate needs at least one image or folder');
+    }
+
+    const { raw: rawParams, params } = readParamFlags(options);
+    const concurrency = options.concurrency !== undefined ? positiveInteger('concurrency', options.concurrency) : config.maxInFlight;
+    const timeoutMinutes = options.timeout !== undefined ? positiveInteger('timeout', options.timeout) : DEFAULT_TIMEOUT_MINUTES;
+    const apiUrl = (options.comfyui || config.comfyuiApiUrl).replace(/\/+$/, '');
+    if (options.report !== undefined && !/\.(json|csv)$/i.test(options.report)) {
+        throw new UsageError('--report must name a .json or .csv file');
+    }
+
+    const workflows = createWorkflowLibrary(config.workflowsFolder, { defaultId: config.defaultWorkflow, log });
+    const preset = options.workflow ? workflows.get(options.workflow) : workflows.getDefault();
+    if (!preset) {
+        throw new UsageError(options.workflow
+            ? `Unknown workflow "${options.workflow}" (available: ${workflows.list().map(entry => entry.id).join(', ') || 'none'})`
+            : `No workflow presets in ${config.workflowsFolder}`);
+    }
+    if (preset.view_nodes) {
+        throw new UsageError(`Workflow "${preset.id}" takes several views of one object; generate sends one image per mesh`);
+    }
+
+    const images = collectImages(inputs);
+    if (images.length === 0) {
+        throw new UsageError('No JPEG, PNG or WebP images found');
+    }
+
+    // Keep each capture's sidecar in step with its job, so the gallery shows these generations too
+    jobEvents.on('update', job => {
+        try {
+            writeCaptureMetadata(config.capturesFolder, buildCaptureMetadata(serializeJob(job)));
+        } catch (error) {
+            console.warn(`⚠️  Could not write metadata for capture ${job.capture_id}: ${error.message}`);
+        }
+    });
+
+    print(`🎨 Generating ${images.length} mesh(es) with workflow "${preset.id}" on ${apiUrl}, ${concurrency} at a time`);
+    const settings = Object.entries(params).map(([key, value]) => `${key}=${value}`);
+    if (rawParams.randomize_seed) {
+        settings.push('seed randomized per image');
+    }
+    if (settings.length > 0) {
+        print(`   ⚙️  ${settings.join(', ')}`);
+    }
+
+    const context = { config, preset, rawParams, apiUrl, clientId: `webcam3d_cli_${Date.now()}`, timeoutMinutes, log };
+    const queue = createDispatchQueue({ maxInFlight: concurrency });
+    const startedAt = new Date();
+    let done = 0;
+
+    const rows = await Promise.all(images.map((file, index) => new Promise(resolve => {
+        const id = `image_${index}`;
+        queue.enqueue(id, async () => {
+            const row = await generateOne(file, context);
+            done++;
+            if (row.state === 'succeeded') {
+                print(`✅ [${done}/${images.length}] ${file} -> ${row.model}${row.triangles !== null ? ` (${row.triangles} triangles)` : ''}, ${row.seconds}s`);
+            } else {
+                print(`❌ [${done}/${images.length}] ${file}: ${row.error}`);
+            }
+            queue.finished(id);
+            resolve(row);
+        });
+    })));
+
+    const failed = rows.filter(row => row.state !== 'succeeded').length;
+    print(`🏁 ${rows.length - failed} succeeded, ${failed} failed; meshes are in ${config.modelMeshFolder}`);
+
+    if (options.report) {
+        writeReport(options.report, {
+            workflow: preset.id,
+            comfyui: apiUrl,
+            params,
+            randomize_seed: Boolean(rawParams.randomize_seed),
+            started_at: startedAt.toISOString(),
+            finished_at: new Date().toISOString(),
+            succeeded: rows.length - failed,
+            failed
+        }, rows);
+        print(`📝 Report written to ${options.report}`);
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+function listCommand(options, config) {
+    checkOptions(options, ['tag', 'favorite', 'json']);
+
+    const folder = config.modelMeshFolder;
+    const library = createModelLibrary(path.join(config.capturesFolder, 'models.json'));
+    const files = fs.existsSync(folder)
+        ? fs.readdirSync(folder).filter(file => file.toLowerCase().endsWith('.glb'))
+        : [];
+
+    const models = files
+        .map(name => {
+            const stats = fs.statSync(path.join(folder, name));
+            const annotations = library.get(name);
+            const captureId = annotations.capture_id || captureIdFromOutput(name);
+            const metadata = captureId ? readCaptureMetadata(config.capturesFolder, captureId) : null;
+
+            return {
+                name,
+                size: stats.size,
+                created: stats.mtime.toISOString(),
+                capture_id: captureId,
+                workflow: metadata ? metadata.workflow : null,
+                triangles: metadata && metadata.mesh_stats ? metadata.mesh_stats.triangle_count : null,
+                tags: annotations.tags,
+                favorite: annotations.favorite
+            };
+        })
+        .filter(model => !options.tag || model.tags.includes(String(options.tag).toLowerCase()))
+        .filter(model => !options.favorite || model.favorite)
+        .sort((a, b) => b.created.localeCompare(a.created));
+
+    if (options.json) {
+        print(JSON.stringify(models, null, 2));
+        return 0;
+    }
+    if (models.length === 0) {
+        print(`📭 No meshes${options.tag || options.favorite ? ' match' : ` in ${folder}`}`);
+        return 0;
+    }
+
+    models.forEach(model => {
+        const details = [
+            `${(model.size / 1024 / 1024).toFixed(2)} MB`,
+            model.created.replace('T', ' ').slice(0, 19),
+            model.triangles !== null ? `${model.triangles} triangles` : null,
+            model.workflow ? `workflow ${model.workflow}` : null,
+            model.tags.length > 0 ? `#${model.tags.join(' #')}` : null
+        ].filter(Boolean);
+        print(`${model.favorite ? '⭐' : '  '} ${model.name}  ${details.join(', ')}`);
+    });
+    print(`📁 ${models.length} mesh(es) in ${folder}`);
+    return 0;
+}
+
+function exportCommand(names, options, config) {
+    checkOptions(options, ['format', 'units', 'scale', 'up', 'out']);
+    if (names.length !== 1) {
+        throw new UsageError('export needs exactly one model name');
+    }
+
+    const name = names[0];
+    const filePath = path.join(config.modelMeshFolder, name);
+    if (!isValidModelName(name) || !fs.existsSync(filePath)) {
+        throw new UsageError(`No mesh named ${name} in ${config.modelMeshFolder} (see webcam3d list)`);
+    }
+
+    const { options: exportOptions, errors } = validateExportOptions({
+        format: options.format,
+        units: options.units,
+        scale: options.scale,
+        up: options.up
+    });
+    if (errors.length > 0) {
+        throw new UsageError(`Invalid export options:\n   • ${errors.join('\n   • ')}`);
+    }
+
+    const mesh = readGLBMesh(fs.readFileSync(filePath));
+    if (mesh.indices.length === 0) {
+        throw new Error(`${name} contains no triangles`);
+    }
+
+    const baseName = name.replace(/\.glb$/i, '');
+    const exported = exportMesh(mesh, exportOptions, baseName);
+    const outFile = options.out || `${baseName}.${exported.extension}`;
+    fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+    fs.writeFileSync(outFile, exported.body);
+
+    print(`📤 Wrote ${outFile} (${exportOptions.format.toUpperCase()}, ${mesh.indices.length / 3} triangles, ${exportOptions.units}, ${exportOptions.up}-up)`);
+    return 0;
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const { positionals, options } = parseArgs(rest);
+
+    if (!command || command === '--help' || options.help) {
+        print(USAGE);
+        return 0;
+    }
+    const config = loadConfig();
+    config.warnings.forEach(warning => console.warn(`⚠️  Config: ${warning}`));
+    if (config.errors.length > 0) {
+        console.error('❌ Invalid configuration:');
+        config.errors.forEach(error => console.error(`   • ${error}`));
+        return 2;
+    }
+
+    switch (command) {
+        case 'generate':
+            return generateCommand(positionals, options, config.values);
+        case 'list':
+            return listCommand(options, config.values);
+        case 'export':
+            return exportCommand(positionals, options, config.values);
+        default:
+            throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        if (error instanceof UsageError) {
+            console.error('   Run webcam3d --help for usage');
+        }
+        process.exitCode = error instanceof UsageError ? 2 : 1;
+    });